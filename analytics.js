@@ -0,0 +1,250 @@
+import CONFIG from './config.js';
+import storageManager from './storage.js';
+
+class AnalyticsEngine {
+    // Build the planned-vs-actual report for a plan
+    buildReport(plan) {
+        const sessions = this.getTrackedSessions(plan, storageManager.loadSessionLog());
+        const plannedMinutes = sessions.reduce((sum, session) => sum + session.plannedMinutes, 0);
+        const actualMinutes = sessions.reduce((sum, session) => sum + session.actualMinutes, 0);
+        const ratio = plannedMinutes > 0 ? actualMinutes / plannedMinutes : null;
+        
+        const bySubject = this.summariseBySubject(plan, sessions);
+        
+        return {
+            totals: {
+                sessions: sessions.length,
+                plannedMinutes,
+                actualMinutes,
+                ratio
+            },
+            bias: this.describeBias(ratio, sessions.length),
+            bySubject,
+            byDay: this.summariseByDay(plan, sessions),
+            estimates: this.suggestEstimates(plan, bySubject)
+        };
+    }
+
+    // Completed sessions that have actual minutes logged
+    getTrackedSessions(plan, log) {
+        return plan.schedule.flatMap(daySchedule => daySchedule.slots
+            .filter(slot => slot.completed && slot.type !== CONFIG.SESSION_TYPES.BREAK)
+            .map(slot => ({
+                slot,
+                day: daySchedule.day,
+                plannedMinutes: slot.duration,
+                actualMinutes: log[slot.id]?.actualMinutes ?? slot.actualMinutes
+            }))
+            .filter(session => session.actualMinutes !== undefined && session.actualMinutes !== null)
+        );
+    }
+
+    // Planned against actual study time per subject
+    summariseBySubject(plan, sessions) {
+        return plan.allocations.map(subject => {
+            const subjectSessions = sessions.filter(session =>
+                session.slot.subjectId === subject.id && session.slot.type === CONFIG.SESSION_TYPES.STUDY
+            );
+            const plannedMinutes = subjectSessions.reduce((sum, session) => sum + session.plannedMinutes, 0);
+            const actualMinutes = subjectSessions.reduce((sum, session) => sum + session.actualMinutes, 0);
+            
+            return {
+                subjectId: subject.id,
+                subjectName: subject.name,
+                sessions: subjectSessions.length,
+                plannedMinutes,
+                actualMinutes,
+                ratio: plannedMinutes > 0 ? actualMinutes / plannedMinutes : null
+            };
+        });
+    }
+
+    // Scheduled, planned-and-done and actual minutes per day
+    summariseByDay(plan, sessions) {
+        return plan.schedule.map(daySchedule => {
+            const daySessions = sessions.filter(session => session.day === daySchedule.day);
+            const plannedMinutes = daySessions.reduce((sum, session) => sum + session.plannedMinutes, 0);
+            const actualMinutes = daySessions.reduce((sum, session) => sum + session.actualMinutes, 0);
+            
+            return {
+                day: daySchedule.day,
+                date: daySchedule.date,
+                scheduledMinutes: Math.round(daySchedule.totalStudyHours * 60),
+                plannedMinutes,
+                actualMinutes,
+                ratio: plannedMinutes > 0 ? actualMinutes / plannedMinutes : null
+            };
+        });
+    }
+
+    // Whether sessions systematically run longer or shorter than planned
+    describeBias(ratio, sessionCount) {
+        const { MIN_SESSIONS, BIAS_TOLERANCE } = CONFIG.ANALYTICS;
+        
+        if (ratio === null || sessionCount < MIN_SESSIONS) {
+            return {
+                type: 'not_enough_data',
+                message: `Log at least ${MIN_SESSIONS} sessions to see how accurate your estimates are.`
+            };
+        }
+        
+        const percent = Math.round(Math.abs(ratio - 1) * 100);
+        if (ratio > 1 + BIAS_TOLERANCE) {
+            return {
+                type: 'underestimated',
+                message: `Sessions take ${percent}% longer than planned: your hour estimates look too low.`
+            };
+        }
+        if (ratio < 1 - BIAS_TOLERANCE) {
+            return {
+                type: 'overestimated',
+                message: `Sessions take ${percent}% less time than planned: your hour estimates look too high.`
+            };
+        }
+        return {
+            type: 'on_target',
+            message: `Actual time is within ${Math.round(BIAS_TOLERANCE * 100)}% of plan. Your estimates are on target.`
+        };
+    }
+
+    // Scale each subject's remaining hours by how far off its logged sessions are
+    suggestEstimates(plan, bySubject) {
+        const { MIN_SESSIONS, BIAS_TOLERANCE } = CONFIG.ANALYTICS;
+        
+        return bySubject
+            .filter(summary => summary.sessions >= MIN_SESSIONS && Math.abs(summary.ratio - 1) > BIAS_TOLERANCE)
+            .map(summary => {
+                const subject = plan.allocations.find(s => s.id === summary.subjectId);
+                
+                // Completed study time in planned hours, as the scheduler counts it
+                const plannedDoneHours = plan.schedule
+                    .flatMap(daySchedule => daySchedule.slots)
+                    .filter(slot => slot.completed && slot.type === CONFIG.SESSION_TYPES.STUDY && slot.subjectId === subject.id)
+                    .reduce((sum, slot) => sum + slot.duration / 60, 0);
+                const remainingBefore = Math.max(0, subject.hoursNeeded - plannedDoneHours);
+                const remainingAfter = this.roundHours(remainingBefore * summary.ratio);
+                const actualDoneHours = plannedDoneHours + (summary.actualMinutes - summary.plannedMinutes) / 60;
+                
+                return {
+                    subjectId: subject.id,
+                    subjectName: subject.name,
+                    ratio: summary.ratio,
+                    currentHours: subject.hoursNeeded,
+                    suggestedHours: this.roundHours(actualDoneHours + remainingAfter),
+                    plannedDoneHours,
+                    remainingBefore: this.roundHours(remainingBefore),
+                    remainingAfter
+                };
+            });
+    }
+
+    // Burndown, daily hours, hours per subject, streaks and weekdays for the
+    // progress dashboard. Days after `today` count as not yet studied.
+    buildDashboard(plan, today) {
+        const days = plan.schedule.map(daySchedule => ({
+            day: daySchedule.day,
+            isoDate: daySchedule.isoDate,
+            weekday: new Date(`${daySchedule.isoDate}T00:00:00Z`).getUTCDay(),
+            scheduledHours: daySchedule.totalStudyHours || 0,
+            completedHours: daySchedule.slots
+                .filter(slot => slot.completed && slot.type !== CONFIG.SESSION_TYPES.BREAK)
+                .reduce((sum, slot) => sum + (slot.actualMinutes ?? slot.duration) / 60, 0)
+        }));
+        const pastDays = days.filter(day => day.isoDate <= today);
+        
+        return {
+            burndown: this.getBurndown(plan, days, today),
+            daily: days,
+            subjects: this.getSubjectHours(plan),
+            streaks: this.getStreaks(pastDays, today),
+            weekdays: this.getWeekdays(pastDays.filter(day => day.isoDate < today))
+        };
+    }
+
+    // Hours left after each day, against an even spread of the total over the plan
+    getBurndown(plan, days, today) {
+        const totalHours = plan.allocations.reduce((sum, subject) => sum + subject.hoursNeeded, 0);
+        const lastActual = days.reduce((last, day, index) => (day.isoDate <= today || day.completedHours > 0 ? index : last), -1);
+        
+        let remaining = totalHours;
+        const actual = days.map((day, index) => {
+            remaining -= day.completedHours;
+            return index <= lastActual ? parseFloat(Math.max(0, remaining).toFixed(1)) : null;
+        });
+        
+        return {
+            totalHours,
+            labels: ['Start', ...days.map(day => `D${day.day}`)],
+            ideal: [totalHours, ...days.map((day, index) => totalHours * (days.length - index - 1) / days.length)],
+            actual: [totalHours, ...actual]
+        };
+    }
+
+    // Scheduled and completed hours per subject
+    getSubjectHours(plan) {
+        const distribution = plan.summary?.subjectDistribution || {};
+        return plan.allocations.map(subject => ({
+            subjectId: subject.id,
+            subjectName: subject.name,
+            scheduledHours: distribution[subject.name] || 0,
+            completedHours: subject.hoursCompleted || 0
+        }));
+    }
+
+    // Runs of consecutive study days. Days with nothing scheduled don't break a
+    // run, and today only counts once something is done.
+    getStreaks(pastDays, today) {
+        let longest = 0;
+        let run = 0;
+        
+        pastDays
+            .filter(day => day.scheduledHours > 0 || day.completedHours > 0)
+            .forEach(day => {
+                if (day.completedHours > 0) {
+                    run++;
+                } else if (day.isoDate !== today) {
+                    run = 0;
+                }
+                longest = Math.max(longest, run);
+            });
+        
+        return { current: run, longest };
+    }
+
+    // Share of scheduled hours done on each weekday (today is still in progress
+    // and left out), with the best and worst
+    getWeekdays(pastDays) {
+        const byWeekday = CONFIG.WEEKDAYS.map((name, weekday) => {
+            const days = pastDays.filter(day => day.weekday === weekday && day.scheduledHours > 0);
+            const scheduledHours = days.reduce((sum, day) => sum + day.scheduledHours, 0);
+            const completedHours = days.reduce((sum, day) => sum + day.completedHours, 0);
+            
+            return {
+                weekday,
+                name,
+                days: days.length,
+                scheduledHours,
+                completedHours,
+                rate: scheduledHours > 0 ? Math.min(1, completedHours / scheduledHours) : null
+            };
+        });
+        
+        // Best and worst only mean something once two weekdays can be compared
+        const rated = byWeekday.filter(entry => entry.rate !== null);
+        const sorted = [...rated].sort((a, b) => b.rate - a.rate);
+        return {
+            byWeekday,
+            best: rated.length >= 2 ? sorted[0] : null,
+            worst: rated.length >= 2 ? sorted[sorted.length - 1] : null
+        };
+    }
+
+    // Round to the nearest half hour
+    roundHours(hours) {
+        return Math.round(hours * 2) / 2;
+    }
+}
+
+// Create and export singleton instance
+const analyticsEngine = new AnalyticsEngine();
+export default analyticsEngine;
\ No newline at end of file
@@ -0,0 +1,129 @@
+import CONFIG from './config.js';
+import calendarImporter from './calendar.js';
+
+class AvailabilityManager {
+    // Default availability: every weekday open, nothing blocked
+    getDefaultAvailability() {
+        const weekly = {};
+        CONFIG.WEEKDAYS.forEach((dayName, weekday) => {
+            weekly[weekday] = {
+                start: CONFIG.AVAILABILITY.DEFAULT_DAY_START,
+                end: CONFIG.AVAILABILITY.DEFAULT_DAY_END,
+                busy: []
+            };
+        });
+        
+        return { weekly, blockedDates: [], calendars: [] };
+    }
+
+    // Convert "HH:MM" to minutes since midnight
+    parseTime(time) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec((time || '').trim());
+        if (!match) return null;
+        
+        const hours = parseInt(match[1]);
+        const minutes = parseInt(match[2]);
+        if (hours > 24 || minutes > 59) return null;
+        
+        return hours * 60 + minutes;
+    }
+
+    // Convert minutes since midnight to "HH:MM"
+    toTimeString(minutes) {
+        const hours = Math.floor(minutes / 60);
+        const mins = minutes % 60;
+        return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
+    }
+
+    // Parse busy blocks written as "09:00-11:00, 13:00-14:00"
+    parseBlocks(text) {
+        const blocks = [];
+        const errors = [];
+        
+        (text || '').split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+            const [startText, endText] = part.split('-');
+            const start = this.parseTime(startText);
+            const end = this.parseTime(endText);
+            
+            if (start === null || end === null || end <= start) {
+                errors.push(part);
+            } else {
+                blocks.push({ start: this.toTimeString(start), end: this.toTimeString(end) });
+            }
+        });
+        
+        return { blocks, errors };
+    }
+
+    // Format busy blocks for display in a text input
+    formatBlocks(blocks) {
+        return (blocks || []).map(block => `${block.start}-${block.end}`).join(', ');
+    }
+
+    // Check if a date has been blocked out entirely
+    isBlockedDate(availability, isoDate) {
+        return (availability?.blockedDates || []).includes(isoDate);
+    }
+
+    // Get free windows ([startMinutes, endMinutes]) for a date
+    getFreeWindows(availability, isoDate) {
+        const model = availability || this.getDefaultAvailability();
+        if (this.isBlockedDate(model, isoDate)) return [];
+        
+        const weekday = new Date(isoDate).getUTCDay();
+        const dayAvailability = model.weekly?.[weekday];
+        if (!dayAvailability) return [];
+        
+        const dayStart = this.parseTime(dayAvailability.start);
+        const dayEnd = Math.min(
+            this.parseTime(dayAvailability.end),
+            CONFIG.TIME_PREFERENCES.AVOID_LATE_NIGHT * 60
+        );
+        if (dayStart === null || dayEnd === null || dayEnd <= dayStart) return [];
+        
+        const busyBlocks = (dayAvailability.busy || [])
+            .map(block => [this.parseTime(block.start), this.parseTime(block.end)])
+            .filter(([start, end]) => start !== null && end !== null)
+            .concat(this.getCalendarBlocks(model, isoDate).map(block => [block.start, block.end]))
+            .sort((a, b) => a[0] - b[0]);
+        
+        return this.subtractBlocks([[dayStart, dayEnd]], busyBlocks);
+    }
+
+    // Busy blocks ({ start, end, summary } in minutes) from imported calendars on a date
+    getCalendarBlocks(availability, isoDate) {
+        return calendarImporter.getBusyBlocks(availability?.calendars, isoDate)
+            .slice()
+            .sort((a, b) => a.start - b.start);
+    }
+
+    // Remove busy blocks from a list of windows
+    subtractBlocks(windows, busyBlocks) {
+        let freeWindows = windows;
+        
+        busyBlocks.forEach(([busyStart, busyEnd]) => {
+            const next = [];
+            freeWindows.forEach(([start, end]) => {
+                if (busyEnd <= start || busyStart >= end) {
+                    next.push([start, end]);
+                    return;
+                }
+                if (busyStart > start) next.push([start, busyStart]);
+                if (busyEnd < end) next.push([busyEnd, end]);
+            });
+            freeWindows = next;
+        });
+        
+        return freeWindows;
+    }
+
+    // Total free minutes for a date
+    getFreeMinutes(availability, isoDate) {
+        return this.getFreeWindows(availability, isoDate)
+            .reduce((sum, [start, end]) => sum + (end - start), 0);
+    }
+}
+
+// Create and export singleton instance
+const availabilityManager = new AvailabilityManager();
+export default availabilityManager;
\ No newline at end of file
@@ -0,0 +1,82 @@
+import CONFIG from './config.js';
+import availabilityManager from './availability.js';
+
+// Meals, rest days, wind-down and the daily focus limit
+
+class BreakPlanner {
+    // Defaults from CONFIG.WELLBEING
+    getDefaultSettings() {
+        const { MEALS, MAX_FOCUS_HOURS, REST_DAY, WIND_DOWN_MINUTES } = CONFIG.WELLBEING;
+        return {
+            meals: MEALS.map(meal => ({ ...meal })),
+            maxFocusHours: MAX_FOCUS_HOURS,
+            restDay: REST_DAY,
+            windDownMinutes: WIND_DOWN_MINUTES
+        };
+    }
+
+    // Saved settings over the defaults: { meals: [{ label, start, end, duration }], maxFocusHours,
+    // restDay (weekday, 0 = Sunday), windDownMinutes (free time kept before AVOID_LATE_NIGHT) }
+    getSettings(saved) {
+        return { ...this.getDefaultSettings(), ...(saved || {}) };
+    }
+
+    // Whether a date falls on the weekly rest day
+    isRestDay(settings, isoDate) {
+        return new Date(isoDate).getUTCDay() === settings.restDay;
+    }
+
+    // Latest time a session may end
+    getStudyEnd(settings) {
+        return CONFIG.TIME_PREFERENCES.AVOID_LATE_NIGHT * 60 - settings.windDownMinutes;
+    }
+
+    // Study hours allowed on a day with the given target
+    getFocusHours(settings, dailyHours) {
+        return Math.min(dailyHours, settings.maxFocusHours);
+    }
+
+    // Free windows with the rest day and wind-down taken out
+    limitWindows(windows, settings, isoDate) {
+        if (this.isRestDay(settings, isoDate)) return [];
+        
+        const studyEnd = this.getStudyEnd(settings);
+        return windows
+            .map(([start, end]) => [start, Math.min(end, studyEnd)])
+            .filter(([start, end]) => end - start >= CONFIG.AVAILABILITY.MIN_SESSION_LENGTH);
+    }
+
+    // Place each meal at the earliest free time in its window that fits it.
+    // Returns [{ label, start, end }] for the meals that found room.
+    placeMeals(windows, settings) {
+        const placed = [];
+        settings.meals.forEach(meal => {
+            const from = availabilityManager.parseTime(meal.start);
+            const to = availabilityManager.parseTime(meal.end);
+            if (from === null || to === null) return;
+            
+            const taken = placed.map(({ start, end }) => [start, end]);
+            const gap = availabilityManager.subtractBlocks(windows, taken)
+                .map(([start, end]) => [Math.max(start, from), Math.min(end, to)])
+                .find(([start, end]) => end - start >= meal.duration);
+            if (gap) placed.push({ label: meal.label, start: gap[0], end: gap[0] + meal.duration });
+        });
+        
+        return placed;
+    }
+
+    // Meals that fall between a day's first and last session; the others are
+    // outside the study day and need no break
+    getMealsInStudyDay(meals, slots) {
+        const sessions = slots.filter(slot => slot.type !== CONFIG.SESSION_TYPES.BREAK);
+        if (sessions.length === 0) return [];
+        
+        const first = Math.min(...sessions.map(slot => slot.startMinutes));
+        const last = Math.max(...sessions.map(slot => slot.endMinutes));
+        return meals.filter(meal => meal.start >= first && meal.end <= last);
+    }
+}
+
+// Create and export singleton instance
+const breakPlanner = new BreakPlanner();
+export default breakPlanner;
\ No newline at end of file
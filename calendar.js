@@ -0,0 +1,480 @@
+import CONFIG from './config.js';
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class CalendarImporter {
+    constructor() {
+        // Busy blocks per date, cached per imported calendar list
+        this.blockCache = new WeakMap();
+    }
+
+    // Parse an .ics document into busy events; returns { events, errors }
+    parseCalendar(text) {
+        const lines = this.unfoldLines(text);
+        const events = [];
+        const overrides = [];
+        const errors = [];
+        let current = null;
+        let depth = 0;
+        
+        lines.forEach(line => {
+            const property = this.parseProperty(line);
+            if (!property) return;
+            
+            if (property.name === 'BEGIN') {
+                if (property.value === 'VEVENT') {
+                    current = { exdates: [] };
+                    depth = 0;
+                } else if (current) {
+                    depth++; // VALARM and friends
+                }
+                return;
+            }
+            
+            if (property.name === 'END') {
+                if (property.value === 'VEVENT' && current) {
+                    const event = this.buildEvent(current, errors);
+                    if (event) (event.recurrenceId ? overrides : events).push(event);
+                    current = null;
+                } else if (current) {
+                    depth--;
+                }
+                return;
+            }
+            
+            if (current && depth === 0) {
+                this.readEventProperty(current, property);
+            }
+        });
+        
+        // A modified occurrence replaces that occurrence of its series
+        overrides.forEach(override => {
+            const master = events.find(event => event.uid === override.uid);
+            if (master) master.exdates.push(override.recurrenceId);
+            delete override.recurrenceId;
+            delete override.rrule;
+            events.push(override);
+        });
+        
+        return { events, errors };
+    }
+
+    // Join folded continuation lines (RFC 5545 3.1)
+    unfoldLines(text) {
+        return (text || '')
+            .replace(/\r\n/g, '\n')
+            .replace(/\n[ \t]/g, '')
+            .split('\n')
+            .filter(line => line.trim());
+    }
+
+    // Split "NAME;PARAM=VALUE:value"
+    parseProperty(line) {
+        const colon = this.findValueSeparator(line);
+        if (colon === -1) return null;
+        
+        const [name, ...paramParts] = line.slice(0, colon).split(';');
+        const params = {};
+        paramParts.forEach(part => {
+            const [key, value] = part.split('=');
+            if (key && value !== undefined) params[key.toUpperCase()] = value.replace(/^"|"$/g, '');
+        });
+        
+        return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+    }
+
+    // First colon outside a quoted parameter value
+    findValueSeparator(line) {
+        let quoted = false;
+        for (let i = 0; i < line.length; i++) {
+            if (line[i] === '"') quoted = !quoted;
+            if (line[i] === ':' && !quoted) return i;
+        }
+        return -1;
+    }
+
+    // Collect the raw properties of a VEVENT
+    readEventProperty(raw, property) {
+        switch (property.name) {
+            case 'UID':
+            case 'SUMMARY':
+            case 'TRANSP':
+            case 'STATUS':
+            case 'DURATION':
+            case 'RRULE':
+                raw[property.name] = property.value;
+                break;
+            case 'DTSTART':
+            case 'DTEND':
+            case 'RECURRENCE-ID':
+                raw[property.name] = property;
+                break;
+            case 'EXDATE':
+                property.value.split(',').forEach(value => {
+                    raw.exdates.push({ ...property, value });
+                });
+                break;
+        }
+    }
+
+    // Turn raw properties into a busy event, or null for free/cancelled/invalid ones
+    buildEvent(raw, errors) {
+        const summary = this.unescapeText(raw.SUMMARY || 'Busy');
+        
+        if (raw.TRANSP === 'TRANSPARENT' || raw.STATUS === 'CANCELLED') return null;
+        if (!raw.DTSTART) {
+            errors.push(`"${summary}" has no start time`);
+            return null;
+        }
+        
+        const start = this.parseDateValue(raw.DTSTART);
+        if (!start) {
+            errors.push(`"${summary}" has an unreadable start time`);
+            return null;
+        }
+        
+        const end = raw.DTEND ? this.parseDateValue(raw.DTEND) : null;
+        let durationMinutes;
+        if (end) {
+            durationMinutes = Math.round((this.toInstant(end) - this.toInstant(start)) / 60000);
+        } else if (raw.DURATION) {
+            durationMinutes = this.parseDuration(raw.DURATION);
+        } else {
+            durationMinutes = start.allDay ? 24 * 60 : 0;
+        }
+        if (!(durationMinutes > 0)) return null;
+        
+        // Expanding a rule we only partly understand would put busy time on the wrong dates
+        const ruleParts = raw.RRULE ? this.parseRuleParts(raw.RRULE) : null;
+        const unsupported = ruleParts ? this.getUnsupportedRuleParts(ruleParts) : [];
+        if (unsupported.length > 0) {
+            errors.push(`"${summary}" repeats by ${unsupported.join(', ')}, which can't be imported`);
+            return null;
+        }
+        
+        return {
+            uid: raw.UID || `${summary}_${raw.DTSTART.value}`,
+            summary,
+            start,
+            durationMinutes,
+            rrule: ruleParts ? this.parseRule(ruleParts, start) : null,
+            exdates: raw.exdates.map(exdate => this.occurrenceKey(this.parseDateValue(exdate))).filter(Boolean),
+            recurrenceId: raw['RECURRENCE-ID'] ? this.occurrenceKey(this.parseDateValue(raw['RECURRENCE-ID'])) : null
+        };
+    }
+
+    // Parse DATE / DATE-TIME values with optional TZID or UTC marker
+    parseDateValue(property) {
+        const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec((property.value || '').trim());
+        if (!match) return null;
+        
+        const allDay = property.params?.VALUE === 'DATE' || match[4] === undefined;
+        let tz = match[7] ? 'UTC' : (property.params?.TZID || null);
+        if (tz && tz !== 'UTC' && !this.isKnownTimeZone(tz)) tz = null; // Fall back to floating time
+        
+        return {
+            year: parseInt(match[1]),
+            month: parseInt(match[2]),
+            day: parseInt(match[3]),
+            minutes: allDay ? 0 : parseInt(match[4]) * 60 + parseInt(match[5]),
+            allDay,
+            tz: allDay ? null : tz
+        };
+    }
+
+    // Check that the browser knows a time zone name
+    isKnownTimeZone(tz) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: tz });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Parse an ISO 8601 duration such as PT1H30M or P1D into minutes
+    parseDuration(value) {
+        const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+        if (!match) return 0;
+        
+        const [, sign, weeks, days, hours, minutes] = match;
+        const total = (parseInt(weeks || 0) * 7 + parseInt(days || 0)) * 1440 + parseInt(hours || 0) * 60 + parseInt(minutes || 0);
+        return sign === '-' ? -total : total;
+    }
+
+    // Split an RRULE value into its parts
+    parseRuleParts(value) {
+        const parts = {};
+        value.split(';').forEach(part => {
+            const [key, partValue] = part.split('=');
+            if (key && partValue) parts[key.toUpperCase()] = partValue.toUpperCase();
+        });
+        return parts;
+    }
+
+    // Rule parts we can't expand: other frequencies, and BY* parts other than
+    // BYDAY (numbered weekdays only when monthly) and monthly BYMONTHDAY
+    getUnsupportedRuleParts(parts) {
+        if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(parts.FREQ)) return [`FREQ=${parts.FREQ || '?'}`];
+        
+        const allowed = { DAILY: ['BYDAY'], WEEKLY: ['BYDAY'], MONTHLY: ['BYDAY', 'BYMONTHDAY'], YEARLY: [] }[parts.FREQ];
+        return Object.keys(parts)
+            .filter(key => key.startsWith('BY') && (
+                !allowed.includes(key) ||
+                (key === 'BYDAY' && parts.FREQ !== 'MONTHLY' && /\d/.test(parts.BYDAY))
+            ))
+            .map(key => `${key}=${parts[key]}`);
+    }
+
+    // Parse the RRULE parts we expand: FREQ, INTERVAL, COUNT, UNTIL, BYDAY, BYMONTHDAY
+    parseRule(parts, start) {
+        const until = parts.UNTIL ? this.parseDateValue({ value: parts.UNTIL, params: {} }) : null;
+        if (until && !until.tz && !until.allDay) until.tz = start.tz;
+        
+        return {
+            freq: parts.FREQ,
+            interval: Math.max(1, parseInt(parts.INTERVAL) || 1),
+            count: parts.COUNT ? parseInt(parts.COUNT) : null,
+            untilInstant: until ? this.toInstant(until.allDay ? { ...until, minutes: 24 * 60 - 1, tz: start.tz } : until) : null,
+            byDay: parts.BYDAY
+                ? parts.BYDAY.split(',')
+                    .map(code => ({ weekday: WEEKDAY_CODES.indexOf(code.slice(-2)), ordinal: parseInt(code.slice(0, -2)) || null }))
+                    .filter(day => day.weekday > -1)
+                : null,
+            byMonthDay: parts.BYMONTHDAY
+                ? parts.BYMONTHDAY.split(',').map(day => parseInt(day)).filter(day => day !== 0 && Math.abs(day) <= 31)
+                : null
+        };
+    }
+
+    // Key identifying one occurrence of a series, in the series' own wall time
+    occurrenceKey(value) {
+        if (!value) return null;
+        return `${value.year}-${value.month}-${value.day}`;
+    }
+
+    // Milliseconds since epoch for a wall-clock value in its time zone (floating = local)
+    toInstant(value) {
+        const { year, month, day, minutes, tz } = value;
+        const hours = Math.floor(minutes / 60);
+        const mins = minutes % 60;
+        
+        if (!tz) return new Date(year, month - 1, day, hours, mins).getTime();
+        
+        const guess = Date.UTC(year, month - 1, day, hours, mins);
+        if (tz === 'UTC') return guess;
+        
+        // Correct by the zone's offset, twice to settle across DST changes
+        const first = guess - this.getZoneOffset(guess, tz);
+        return guess - this.getZoneOffset(first, tz);
+    }
+
+    // Offset of a time zone from UTC at an instant, in milliseconds
+    getZoneOffset(instant, tz) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone: tz,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }).formatToParts(new Date(instant)).forEach(part => {
+            parts[part.type] = parseInt(part.value);
+        });
+        
+        const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return asUtc - Math.floor(instant / 1000) * 1000;
+    }
+
+    // Start dates (in the event's wall time) of the occurrences between two dates.
+    // The safety cap counts from the first step that reaches firstDate, so an old
+    // series still expands into the plan's dates.
+    getOccurrences(event, lastDate, firstDate = -Infinity) {
+        const { start, rrule } = event;
+        const startDate = Date.UTC(start.year, start.month - 1, start.day);
+        if (!rrule) return startDate <= lastDate && startDate >= firstDate ? [startDate] : [];
+        
+        const occurrences = [];
+        let counted = 0;
+        let stepsInRange = 0;
+        let emptySteps = 0;
+        
+        // COUNT is counted from the series start, so only rules without one skip ahead
+        const firstStep = rrule.count === null ? this.getFirstStep(rrule, startDate, firstDate) : 0;
+        const cap = CONFIG.CALENDAR_IMPORT.MAX_OCCURRENCES;
+        for (let step = firstStep; stepsInRange < cap && emptySteps < cap; step++) {
+            const candidates = this.getStepDates(rrule, startDate, step).filter(date => date >= startDate);
+            if (candidates.length === 0) {
+                emptySteps++;
+                continue;
+            }
+            emptySteps = 0;
+            if (candidates[0] > lastDate) break;
+            if (candidates[candidates.length - 1] >= firstDate) stepsInRange++;
+            
+            for (const date of candidates) {
+                if (date > lastDate) break;
+                const value = this.fromUtcDate(date, start);
+                if (rrule.untilInstant !== null && this.toInstant(value) > rrule.untilInstant) return occurrences;
+                if (rrule.count !== null && counted >= rrule.count) return occurrences;
+                
+                counted++;
+                if (date >= firstDate) occurrences.push(date);
+            }
+        }
+        
+        return occurrences;
+    }
+
+    // Last step of a rule that ends before firstDate, so expansion can start there
+    getFirstStep(rrule, startDate, firstDate) {
+        if (!(firstDate > startDate)) return 0;
+        
+        const start = new Date(startDate);
+        const first = new Date(firstDate);
+        const years = first.getUTCFullYear() - start.getUTCFullYear();
+        const periods = {
+            DAILY: (firstDate - startDate) / DAY_MS,
+            WEEKLY: (firstDate - startDate) / (7 * DAY_MS),
+            MONTHLY: years * 12 + first.getUTCMonth() - start.getUTCMonth(),
+            YEARLY: years
+        }[rrule.freq];
+        return Math.max(0, Math.floor(periods / rrule.interval) - 1);
+    }
+
+    // Candidate dates for the nth step of a rule
+    getStepDates(rrule, startDate, step) {
+        const start = new Date(startDate);
+        
+        switch (rrule.freq) {
+            case 'DAILY': {
+                const date = startDate + step * rrule.interval * DAY_MS;
+                const weekdays = rrule.byDay?.map(day => day.weekday);
+                return !weekdays || weekdays.includes(new Date(date).getUTCDay()) ? [date] : [];
+            }
+            
+            case 'WEEKLY': {
+                // Weeks run Monday to Sunday
+                const weekStart = startDate - ((start.getUTCDay() + 6) % 7) * DAY_MS + step * rrule.interval * 7 * DAY_MS;
+                const days = rrule.byDay?.map(day => day.weekday) || [start.getUTCDay()];
+                return days
+                    .map(day => weekStart + ((day + 6) % 7) * DAY_MS)
+                    .sort((a, b) => a - b);
+            }
+            
+            case 'MONTHLY': {
+                const monthStart = Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + step * rrule.interval, 1);
+                const monthLength = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + step * rrule.interval + 1, 0)).getUTCDate();
+                
+                // Without BYDAY or BYMONTHDAY, the start's day of the month; months without it are skipped
+                const days = [];
+                for (let day = 1; day <= monthLength; day++) {
+                    const matches = rrule.byDay || rrule.byMonthDay
+                        ? this.matchesMonthDay(rrule, day, monthLength, new Date(monthStart + (day - 1) * DAY_MS).getUTCDay())
+                        : day === start.getUTCDate();
+                    if (matches) days.push(monthStart + (day - 1) * DAY_MS);
+                }
+                return days;
+            }
+            
+            case 'YEARLY': {
+                const date = new Date(Date.UTC(start.getUTCFullYear() + step * rrule.interval, start.getUTCMonth(), start.getUTCDate()));
+                return date.getUTCDate() === start.getUTCDate() ? [date.getTime()] : [];
+            }
+        }
+        return [];
+    }
+
+    // Whether a day of a month matches a monthly rule's BYMONTHDAY (negative
+    // counts from the end) and BYDAY (e.g. 2TU, -1FR, or every MO); both must match
+    matchesMonthDay(rrule, day, monthLength, weekday) {
+        if (rrule.byMonthDay && !rrule.byMonthDay.some(monthDay => monthDay === (monthDay > 0 ? day : day - monthLength - 1))) {
+            return false;
+        }
+        if (rrule.byDay) {
+            return rrule.byDay.some(({ weekday: ruleWeekday, ordinal }) => {
+                if (ruleWeekday !== weekday) return false;
+                if (ordinal === null) return true;
+                return ordinal > 0
+                    ? Math.ceil(day / 7) === ordinal
+                    : Math.floor((monthLength - day) / 7) + 1 === -ordinal;
+            });
+        }
+        return true;
+    }
+
+    // Wall-clock value for an occurrence date, keeping the series' start time and zone
+    fromUtcDate(date, start) {
+        const value = new Date(date);
+        return {
+            ...start,
+            year: value.getUTCFullYear(),
+            month: value.getUTCMonth() + 1,
+            day: value.getUTCDate()
+        };
+    }
+
+    // Busy blocks ({ start, end, summary } in minutes) that imported calendars put on a date
+    getBusyBlocks(calendars, isoDate) {
+        if (!calendars || calendars.length === 0) return [];
+        
+        let cache = this.blockCache.get(calendars);
+        if (!cache) {
+            cache = new Map();
+            this.blockCache.set(calendars, cache);
+        }
+        if (!cache.has(isoDate)) {
+            cache.set(isoDate, calendars.flatMap(calendar =>
+                calendar.events.flatMap(event => this.getEventBlocks(event, isoDate))
+            ));
+        }
+        return cache.get(isoDate);
+    }
+
+    // Parts of an event's occurrences that fall on a local date
+    getEventBlocks(event, isoDate) {
+        const [year, month, day] = isoDate.split('-').map(Number);
+        const dayStart = new Date(year, month - 1, day).getTime();
+        const dayEnd = new Date(year, month - 1, day + 1).getTime();
+        const targetDate = Date.UTC(year, month - 1, day);
+        
+        // Time zones can move an occurrence across midnight, so look a day either side
+        const lastDate = targetDate + DAY_MS + Math.ceil(event.durationMinutes / 1440) * DAY_MS;
+        const firstDate = targetDate - DAY_MS - Math.ceil(event.durationMinutes / 1440) * DAY_MS;
+        const blocks = [];
+        
+        this.getOccurrences(event, lastDate, firstDate).forEach(date => {
+            const value = this.fromUtcDate(date, event.start);
+            if (event.exdates.includes(this.occurrenceKey(value))) return;
+            
+            const start = event.start.allDay
+                ? new Date(value.year, value.month - 1, value.day).getTime()
+                : this.toInstant(value);
+            const end = start + event.durationMinutes * 60000;
+            if (end <= dayStart || start >= dayEnd) return;
+            
+            blocks.push({
+                start: Math.round((Math.max(start, dayStart) - dayStart) / 60000),
+                end: Math.round((Math.min(end, dayEnd) - dayStart) / 60000),
+                summary: event.summary
+            });
+        });
+        
+        return blocks;
+    }
+
+    // Undo TEXT escaping
+    unescapeText(text) {
+        return text
+            .replace(/\\[nN]/g, '\n')
+            .replace(/\\([,;\\])/g, '$1');
+    }
+}
+
+// Create and export singleton instance
+const calendarImporter = new CalendarImporter();
+export default calendarImporter;
\ No newline at end of file
@@ -0,0 +1,147 @@
+import CONFIG from './config.js';
+
+// SVG charts that scale with their container; colours come from CSS classes
+
+class ChartRenderer {
+    // One polyline per series ([{ name, points, className }]) over shared x labels, with a legend;
+    // a null point leaves a gap
+    lineChart(series, { labels = [], unit = '' } = {}) {
+        const values = series.flatMap(line => line.points).filter(value => value !== null);
+        if (values.length === 0) return this.emptyChart();
+        
+        const { WIDTH, HEIGHT, PADDING } = CONFIG.CHARTS;
+        const max = this.getScaleMax(Math.max(...values));
+        const x = index => PADDING + (labels.length > 1 ? index * (WIDTH - 2 * PADDING) / (labels.length - 1) : 0);
+        const y = value => HEIGHT - PADDING - (value / max) * (HEIGHT - 2 * PADDING);
+        
+        const lines = series.map(line => {
+            // Start a new segment after every gap
+            let path = '';
+            let drawing = false;
+            line.points.forEach((value, index) => {
+                if (value === null) {
+                    drawing = false;
+                    return;
+                }
+                path += `${drawing ? 'L' : 'M'}${x(index).toFixed(1)} ${y(value).toFixed(1)} `;
+                drawing = true;
+            });
+            return `<path class="chart-line ${line.className}" d="${path.trim()}"><title>${line.name}</title></path>`;
+        }).join('');
+        
+        const legend = series.map((line, index) => `
+            <g transform="translate(${PADDING + index * 120}, 12)">
+                <rect class="chart-legend ${line.className}" width="10" height="10" y="-9"></rect>
+                <text class="chart-label" x="14">${line.name}</text>
+            </g>
+        `).join('');
+        
+        return this.frame(`
+            ${this.axes(max, unit)}
+            ${this.xLabels(labels, x)}
+            ${lines}
+            ${legend}
+        `);
+    }
+
+    // Vertical bars, one per { label, value, className }
+    barChart(bars, { unit = '' } = {}) {
+        if (bars.length === 0) return this.emptyChart();
+        
+        const { WIDTH, HEIGHT, PADDING } = CONFIG.CHARTS;
+        const max = this.getScaleMax(Math.max(...bars.map(bar => bar.value)));
+        const slot = (WIDTH - 2 * PADDING) / bars.length;
+        const x = index => PADDING + index * slot + slot / 2;
+        
+        const rects = bars.map((bar, index) => {
+            const height = (bar.value / max) * (HEIGHT - 2 * PADDING);
+            return `
+                <rect class="chart-bar ${bar.className || ''}" x="${(x(index) - slot * 0.35).toFixed(1)}" y="${(HEIGHT - PADDING - height).toFixed(1)}"
+                    width="${(slot * 0.7).toFixed(1)}" height="${height.toFixed(1)}">
+                    <title>${bar.label}: ${this.formatValue(bar.value, unit)}</title>
+                </rect>
+            `;
+        }).join('');
+        
+        return this.frame(`
+            ${this.axes(max, unit)}
+            ${this.xLabels(bars.map(bar => bar.label), x)}
+            ${rects}
+        `);
+    }
+
+    // One row per { label, value, done }, with the done part drawn over the total
+    horizontalBarChart(rows, { unit = '' } = {}) {
+        if (rows.length === 0) return this.emptyChart();
+        
+        const { WIDTH, PADDING, ROW_HEIGHT, LABEL_WIDTH } = CONFIG.CHARTS;
+        const max = this.getScaleMax(Math.max(...rows.map(row => Math.max(row.value, row.done || 0))));
+        const width = value => (value / max) * (WIDTH - LABEL_WIDTH - 2 * PADDING);
+        const height = rows.length * ROW_HEIGHT + PADDING;
+        
+        const bars = rows.map((row, index) => {
+            const top = PADDING / 2 + index * ROW_HEIGHT;
+            return `
+                <text class="chart-label" x="${LABEL_WIDTH - 6}" y="${top + ROW_HEIGHT / 2 + 4}" text-anchor="end">${row.label}</text>
+                <rect class="chart-bar chart-bar-total" x="${LABEL_WIDTH}" y="${top + 4}" width="${width(row.value).toFixed(1)}" height="${ROW_HEIGHT - 8}">
+                    <title>${row.label}: ${this.formatValue(row.value, unit)} scheduled</title>
+                </rect>
+                <rect class="chart-bar chart-bar-done" x="${LABEL_WIDTH}" y="${top + 4}" width="${width(row.done || 0).toFixed(1)}" height="${ROW_HEIGHT - 8}">
+                    <title>${row.label}: ${this.formatValue(row.done || 0, unit)} done</title>
+                </rect>
+                <text class="chart-label" x="${LABEL_WIDTH + width(row.value) + 6}" y="${top + ROW_HEIGHT / 2 + 4}">
+                    ${this.formatValue(row.done || 0, unit)} / ${this.formatValue(row.value, unit)}
+                </text>
+            `;
+        }).join('');
+        
+        return this.frame(bars, height);
+    }
+
+    // Horizontal grid lines with their values on the left
+    axes(max, unit) {
+        const { WIDTH, HEIGHT, PADDING } = CONFIG.CHARTS;
+        return [0, 0.5, 1].map(fraction => {
+            const y = HEIGHT - PADDING - fraction * (HEIGHT - 2 * PADDING);
+            return `
+                <line class="chart-grid" x1="${PADDING}" x2="${WIDTH - PADDING}" y1="${y}" y2="${y}"></line>
+                <text class="chart-label" x="${PADDING - 4}" y="${y + 4}" text-anchor="end">${this.formatValue(max * fraction, unit)}</text>
+            `;
+        }).join('');
+    }
+
+    // Labels under the x axis, thinned out so they don't overlap
+    xLabels(labels, x) {
+        const { HEIGHT, PADDING, MAX_X_LABELS } = CONFIG.CHARTS;
+        const step = Math.ceil(labels.length / MAX_X_LABELS);
+        return labels
+            .map((label, index) => index % step === 0 || index === labels.length - 1
+                ? `<text class="chart-label" x="${x(index).toFixed(1)}" y="${HEIGHT - PADDING + 16}" text-anchor="middle">${label}</text>`
+                : '')
+            .join('');
+    }
+
+    // Round the top of the scale up to a whole number, so grid values read cleanly
+    getScaleMax(value) {
+        return Math.max(1, Math.ceil(value));
+    }
+
+    // Value with its unit, e.g. "2.5h"
+    formatValue(value, unit) {
+        return `${parseFloat(value.toFixed(1))}${unit}`;
+    }
+
+    // Wrap chart content in a scalable SVG
+    frame(content, height = CONFIG.CHARTS.HEIGHT) {
+        return `<svg class="chart" viewBox="0 0 ${CONFIG.CHARTS.WIDTH} ${height}" preserveAspectRatio="xMidYMid meet" role="img">${content}</svg>`;
+    }
+
+    // Placeholder when there is nothing to draw yet
+    emptyChart() {
+        return '<p class="chart-empty">Nothing to show yet.</p>';
+    }
+}
+
+// Create and export singleton instance
+const chartRenderer = new ChartRenderer();
+export default chartRenderer;
\ No newline at end of file
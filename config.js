@@ -21,19 +21,146 @@ const CONFIG = {
     TIME_PREFERENCES: {
         MORNING_PEAK: [9, 12], // 9 AM - 12 PM
         AFTERNOON_PEAK: [15, 18], // 3 PM - 6 PM
+        MIDDAY_PEAK: [13, 17], // 1 PM - 5 PM
+        EVENING_PEAK: [18, 20], // 6 PM - 8 PM
         AVOID_LATE_NIGHT: 22 // Avoid scheduling after 10 PM
     },
     
+    // Hours the peak windows move by for each chronotype
+    CHRONOTYPES: {
+        early_bird: { label: 'Early bird', shift: -2 },
+        balanced: { label: 'Balanced', shift: 0 },
+        night_owl: { label: 'Night owl', shift: 3 }
+    },
+    
+    AVAILABILITY: {
+        DEFAULT_DAY_START: '09:00',
+        DEFAULT_DAY_END: '21:00',
+        MIN_SESSION_LENGTH: 15 // minutes; shorter gaps between busy blocks are skipped
+    },
+    
+    WEEKDAYS: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+    
     SCHEDULING_RULES: {
         MAX_SESSIONS_WITHOUT_LONG_BREAK: 4,
         LONG_BREAK_DURATION: 30, // minutes
-        REVISION_FREQUENCY: 3 // days
+        MAX_CONSECUTIVE_SESSIONS: 2, // Sessions of one subject in a row, breaks aside
+        EXAM_DAY_BUFFER: 1 // Stop new material this many days before an exam
+    },
+    
+    SPACED_REPETITION: {
+        BASE_INTERVALS: [1, 3, 7, 14], // days between reviews at the default ease
+        DEFAULT_EASE: 2.5,
+        MIN_EASE: 1.3,
+        PASSING_RECALL: 3, // Recall scores below this restart the intervals
+        DEFAULT_RECALL: 4, // Used when no score is entered
+        REVIEW_SESSION_LENGTH: 20, // minutes
+        MAX_REVIEWS_PER_DAY: 4
+    },
+    
+    TIMER: {
+        TICK_INTERVAL: 1000, // ms
+        EXTEND_MINUTES: 5
+    },
+    
+    ICAL: {
+        PRODUCT_ID: '-//Smart Study Planner//Study Plan//EN',
+        UID_DOMAIN: 'smart-study-planner',
+        DEFAULT_ALARM_MINUTES: 10
+    },
+    
+    CALENDAR_IMPORT: {
+        MAX_OCCURRENCES: 1000 // Safety cap when expanding recurring events
+    },
+    
+    ANALYTICS: {
+        MIN_SESSIONS: 3, // Logged sessions needed before judging estimates
+        BIAS_TOLERANCE: 0.1 // Actual within 10% of planned counts as on target
+    },
+    
+    SOLVER: {
+        SOFT_WEIGHTS: {
+            TIME_PREFERENCE: 1, // per hour outside the preferred window, times priority weight
+            CONSECUTIVE: 2, // per back-to-back repeat of a subject
+            UNSCHEDULED: 5 // per hour that couldn't be placed
+        },
+        IDLE_STEP: 30, // minutes a session can be pushed back to reach its preferred window
+        MAX_ITERATIONS: 200
+    },
+    
+    CALENDAR_VIEW: {
+        HOUR_HEIGHT: 48, // px per hour in the week grid
+        HEAT_LEVELS: 4 // Shades of the month heatmap
     },
     
+    CHARTS: {
+        WIDTH: 560, // viewBox units; charts scale to their container
+        HEIGHT: 220,
+        PADDING: 36,
+        ROW_HEIGHT: 28, // per subject in the hours breakdown
+        LABEL_WIDTH: 120,
+        MAX_X_LABELS: 8
+    },
+    
+    EDITING: {
+        SNAP_MINUTES: 15, // Dragged and resized slots snap to this grid
+        MIN_DURATION: 15, // minutes
+        MAX_DURATION: 180 // minutes
+    },
+    
+    PROPOSALS: {
+        BREAK_EXTENSION: 5 // minutes added when applying a suggestion to lengthen breaks
+    },
+    
+    INTEGRITY: {
+        MAX_GAP_MINUTES: 60, // Longer stretches of unused free time between slots are reported
+        COVERAGE_TOLERANCE: 1 // hours a subject's plan may be off its hours needed
+    },
+    
+    WELLBEING: {
+        // Meal breaks, each placed somewhere inside its window
+        MEALS: [
+            { label: 'Lunch', start: '12:00', end: '14:00', duration: 45 },
+            { label: 'Dinner', start: '18:00', end: '20:00', duration: 45 }
+        ],
+        MAX_FOCUS_HOURS: 8, // Study hours per day at most
+        REST_DAY: 0, // Weekday with no sessions (0 = Sunday, -1 = none)
+        WIND_DOWN_MINUTES: 60 // Kept free before AVOID_LATE_NIGHT
+    },
+    
+    WHAT_IF: {
+        // Settings the plan comparison can vary, with the values tried
+        DIMENSIONS: {
+            sessionLength: { label: 'Session length', values: [25, 45, 60], format: '{value} min sessions' },
+            breakDuration: { label: 'Break length', values: [5, 10, 15], format: '{value} min breaks' },
+            schedulingMode: { label: 'Scheduling mode', values: ['greedy', 'solver'], format: '{value} scheduling' }
+        }
+    },
+    
+    HISTORY: {
+        MAX_SNAPSHOTS: 30, // Timeline entries kept per plan
+        MAX_SIZE: 1000000, // Characters of snapshot data kept per plan; older snapshots are folded together
+        MAX_UNDO: 20, // Undo steps kept for the current session
+        COALESCE_MS: 60000 // Subject edits within a minute share one snapshot
+    },
+    
+    SCHEMA_VERSION: 3, // Bump together with a migration in schema.js
+    
     STORAGE_KEYS: {
         STUDY_PLAN: 'smartStudyPlan',
         USER_PREFS: 'studyPreferences',
-        PROGRESS: 'studyProgress'
+        PROGRESS: 'studyProgress',
+        WORKSPACE: 'studyPlans',
+        HISTORY: 'studyHistory'
+    },
+    
+    // The plan that existed before named plans keeps this id and the original storage keys
+    DEFAULT_PLAN_ID: 'default',
+    DEFAULT_PLAN_NAME: 'My Plan',
+    
+    INDEXED_DB: {
+        NAME: 'smartStudyPlanner',
+        VERSION: 3 // Bump when the object stores in indexeddb.js change
     }
 };
 
@@ -0,0 +1,26 @@
+// Calendar dates as "YYYY-MM-DD" strings
+class DateHelper {
+    // Today's date in the user's time zone, to match plan days against
+    getToday() {
+        const now = new Date();
+        const month = (now.getMonth() + 1).toString().padStart(2, '0');
+        const day = now.getDate().toString().padStart(2, '0');
+        return `${now.getFullYear()}-${month}-${day}`;
+    }
+
+    // Date a number of days after a date (an ISO string or a Date at UTC midnight)
+    addDays(date, days) {
+        const result = new Date(date);
+        result.setUTCDate(result.getUTCDate() + days);
+        return result.toISOString().split('T')[0];
+    }
+
+    // Whole days from one date to another
+    daysBetween(from, to) {
+        return Math.round((new Date(to) - new Date(from)) / (1000 * 60 * 60 * 24));
+    }
+}
+
+// Create and export singleton instance
+const dateHelper = new DateHelper();
+export default dateHelper;
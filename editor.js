@@ -0,0 +1,193 @@
+import CONFIG from './config.js';
+import integrityChecker from './integrity.js';
+import rulesEngine from './rules.js';
+import revisionEngine from './revision.js';
+import scheduler from './sheduler.js';
+import storageManager from './storage.js';
+
+// Manual edits to a generated plan; edited slots are pinned and the plan validated again
+
+class PlanEditor {
+    // Move a slot to another start time, on the same or another day
+    moveSlot(plan, dayIndex, slotId, toDayIndex, startMinutes) {
+        const slot = this.findSlot(plan, dayIndex, slotId);
+        const error = this.checkEditable(slot) || (plan.schedule[toDayIndex] ? null : 'That day is not in the plan');
+        if (error) return { success: false, message: error };
+        
+        const source = plan.schedule[dayIndex];
+        const target = plan.schedule[toDayIndex];
+        source.slots = source.slots.filter(other => other !== slot);
+        target.slots.push(slot);
+        
+        this.setTimes(slot, this.clampStart(startMinutes, slot.duration), slot.duration);
+        slot.day = toDayIndex + 1;
+        slot.pinned = true;
+        this.assignId(slot, target, toDayIndex);
+        
+        this.finishEdit(plan);
+        return { success: true, message: `Moved ${slot.subjectName} to Day ${toDayIndex + 1} at ${slot.startTime}` };
+    }
+
+    // Swap the times of two slots, which may be on different days
+    swapSlots(plan, dayIndex, slotId, otherDayIndex, otherSlotId) {
+        const slot = this.findSlot(plan, dayIndex, slotId);
+        const other = this.findSlot(plan, otherDayIndex, otherSlotId);
+        const error = this.checkEditable(slot) || this.checkEditable(other);
+        if (error) return { success: false, message: error };
+        if (slot === other) return { success: false, message: 'Drop the session on a different one to swap' };
+        
+        const places = [
+            { item: slot, dayIndex: otherDayIndex, start: other.startMinutes },
+            { item: other, dayIndex, start: slot.startMinutes }
+        ];
+        plan.schedule[dayIndex].slots = plan.schedule[dayIndex].slots.filter(item => item !== slot);
+        plan.schedule[otherDayIndex].slots = plan.schedule[otherDayIndex].slots.filter(item => item !== other);
+        places.forEach(({ item, dayIndex: toDayIndex, start }) => {
+            plan.schedule[toDayIndex].slots.push(item);
+            this.setTimes(item, this.clampStart(start, item.duration), item.duration);
+            item.day = toDayIndex + 1;
+            item.pinned = true;
+        });
+        places.forEach(({ item, dayIndex: toDayIndex }) => this.assignId(item, plan.schedule[toDayIndex], toDayIndex));
+        
+        this.finishEdit(plan);
+        return { success: true, message: `Swapped ${slot.subjectName} and ${other.subjectName}` };
+    }
+
+    // Change how long a slot runs, keeping its start
+    resizeSlot(plan, dayIndex, slotId, duration) {
+        const slot = this.findSlot(plan, dayIndex, slotId);
+        const error = this.checkEditable(slot);
+        if (error) return { success: false, message: error };
+        
+        const { SNAP_MINUTES, MIN_DURATION, MAX_DURATION } = CONFIG.EDITING;
+        const snapped = Math.min(MAX_DURATION, Math.max(MIN_DURATION, Math.round(duration / SNAP_MINUTES) * SNAP_MINUTES));
+        this.setTimes(slot, slot.startMinutes, Math.min(snapped, 24 * 60 - slot.startMinutes));
+        slot.pinned = true;
+        
+        this.finishEdit(plan);
+        return { success: true, message: `${slot.subjectName} now runs ${slot.duration} min` };
+    }
+
+    // Delete a session or break
+    removeSlot(plan, dayIndex, slotId) {
+        const slot = this.findSlot(plan, dayIndex, slotId);
+        const error = this.checkEditable(slot);
+        if (error) return { success: false, message: error };
+        
+        plan.schedule[dayIndex].slots = plan.schedule[dayIndex].slots.filter(other => other !== slot);
+        this.finishEdit(plan);
+        return { success: true, message: `Removed ${slot.subjectName} from Day ${dayIndex + 1}` };
+    }
+
+    // Add a study session of a plan subject, or a break
+    addSlot(plan, dayIndex, { type, subjectId, startMinutes, duration }) {
+        const daySchedule = plan.schedule[dayIndex];
+        if (!daySchedule) return { success: false, message: 'That day is not in the plan' };
+        if (!Number.isFinite(startMinutes) || !(duration > 0)) return { success: false, message: 'Enter a start time and duration' };
+        
+        const start = this.clampStart(startMinutes, duration);
+        let slot;
+        if (type === CONFIG.SESSION_TYPES.BREAK) {
+            slot = scheduler.createBreakSlot(start, duration, dayIndex);
+        } else {
+            const subject = plan.allocations.find(s => s.id === subjectId);
+            if (!subject) return { success: false, message: 'Choose a subject for the session' };
+            slot = scheduler.createSessionSlot(subject, start, duration, dayIndex);
+        }
+        slot.day = dayIndex + 1;
+        slot.pinned = true;
+        daySchedule.slots.push(slot);
+        this.assignId(slot, daySchedule, dayIndex);
+        
+        this.finishEdit(plan);
+        return { success: true, message: `Added ${slot.subjectName} on Day ${dayIndex + 1} at ${slot.startTime}` };
+    }
+
+    // Find a slot on a day
+    findSlot(plan, dayIndex, slotId) {
+        return plan.schedule[dayIndex]?.slots.find(slot => slot.id === slotId) || null;
+    }
+
+    // Reason a slot can't be edited, or null
+    checkEditable(slot) {
+        if (!slot) return 'Session not found';
+        if (slot.completed) return 'Completed sessions keep their time';
+        return null;
+    }
+
+    // Snap a start time to the grid and keep the slot within the day
+    clampStart(startMinutes, duration) {
+        const snapped = Math.round(startMinutes / CONFIG.EDITING.SNAP_MINUTES) * CONFIG.EDITING.SNAP_MINUTES;
+        return Math.min(Math.max(0, snapped), 24 * 60 - duration);
+    }
+
+    // Set a slot's start, end and duration, with the display times
+    setTimes(slot, startMinutes, duration) {
+        slot.startMinutes = startMinutes;
+        slot.endMinutes = startMinutes + duration;
+        slot.duration = duration;
+        slot.startTime = scheduler.formatTime(startMinutes);
+        slot.endTime = scheduler.formatTime(startMinutes + duration);
+    }
+
+    // Give an edited slot the id it would be generated with, made unique within its day
+    assignId(slot, daySchedule, dayIndex) {
+        const base = slot.type === CONFIG.SESSION_TYPES.BREAK
+            ? `break_${dayIndex}_${slot.startMinutes}`
+            : `session_${slot.subjectId}_${dayIndex}_${slot.startMinutes}`;
+        
+        let id = base;
+        for (let n = 2; daySchedule.slots.some(other => other !== slot && other.id === id); n++) {
+            id = `${base}_${n}`;
+        }
+        slot.id = id;
+    }
+
+    // Re-sort the days, refresh totals and summary, and validate again
+    finishEdit(plan) {
+        plan.schedule.forEach(daySchedule => {
+            daySchedule.slots.sort((a, b) => a.startMinutes - b.startMinutes);
+            scheduler.updateDayTotals(daySchedule);
+        });
+        plan.summary = scheduler.generateSummary(plan.schedule.flatMap(day => day.slots), plan.allocations, plan.schedule.length);
+        this.validate(plan);
+    }
+
+    // Run the schedule rules and integrity checks on a plan and refresh its suggestions
+    validate(plan) {
+        plan.validation = rulesEngine.validateSchedule(plan.schedule, plan.allocations, {
+            reviews: revisionEngine.getReviews(),
+            chronotype: storageManager.loadPreferences()?.preferences?.chronotype || 'balanced',
+            wellbeing: plan.wellbeing
+        });
+        plan.suggestions = rulesEngine.generateSuggestions(plan.validation.violations, plan.schedule);
+        integrityChecker.applyTo(plan);
+        return plan.validation;
+    }
+
+    // Violation and integrity messages by slot id for one day
+    getSlotIssues(plan, dayIndex) {
+        const issues = {};
+        [...(plan.validation?.violations || []), ...(plan.integrity?.findings || [])]
+            .filter(violation => violation.day === dayIndex)
+            .forEach(violation => {
+                const slotId = violation.slotId || plan.schedule[dayIndex]?.slots[violation.slot]?.id;
+                if (slotId) (issues[slotId] ||= []).push(violation.message);
+            });
+        return issues;
+    }
+
+    // Slots placed by hand, and optionally sessions already done, to keep when
+    // the plan is generated again
+    getPinnedSessions(plan, includeCompleted = false) {
+        return (plan?.schedule || []).flatMap(daySchedule => daySchedule.slots
+            .filter(slot => slot.pinned || (includeCompleted && slot.completed))
+            .map(slot => ({ isoDate: daySchedule.isoDate, slot }))
+        );
+    }
+}
+
+// Create and export singleton instance
+const planEditor = new PlanEditor();
+export default planEditor;
\ No newline at end of file
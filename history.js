@@ -0,0 +1,251 @@
+import CONFIG from './config.js';
+import storageManager from './storage.js';
+
+const PLAN_KINDS = ['plan', 'progress', 'preferences'];
+
+class HistoryManager {
+    constructor() {
+        this.snapshots = [];
+        this.undoStack = [];
+        this.redoStack = [];
+        this.current = null;
+        this.lastRecord = null;
+        this.handlers = {};
+        this.saveFailing = false;
+    }
+
+    // Register callbacks: onSaveError(snapshot)
+    setHandlers(handlers) {
+        this.handlers = { ...this.handlers, ...handlers };
+    }
+
+    // Load the active plan's timeline and start a fresh undo session
+    load() {
+        this.snapshots = (storageManager.loadHistory()?.snapshots || []).map(snapshot => this.measure(snapshot));
+        this.undoStack = [];
+        this.redoStack = [];
+        this.current = this.captureState();
+        this.lastRecord = null;
+        storageManager.takeChanges();
+    }
+
+    // Copy of the stored plan, progress and preferences
+    captureState() {
+        return Object.fromEntries(PLAN_KINDS.map(kind => [kind, this.loadDocument(kind)]));
+    }
+
+    // Copy of what changed since the last capture: whole documents (null once
+    // cleared), or only the plan days that a completion's follow-up review touched
+    captureChanges(changes) {
+        const state = {};
+        Object.entries(changes).forEach(([kind, change]) => {
+            if (change === true) {
+                state[kind] = this.loadDocument(kind);
+            } else {
+                state.planDays = Object.fromEntries([...change].map(index => [index, storageManager.loadPlanDay(index)]));
+            }
+        });
+        return state;
+    }
+
+    // Copy of one stored document
+    loadDocument(kind) {
+        switch (kind) {
+            case 'plan': return storageManager.loadPlan();
+            case 'progress': return storageManager.loadProgress();
+            default: return storageManager.loadPreferences();
+        }
+    }
+
+    // Snapshot what changed with an action. With `coalesce`, repeats of the same
+    // action within a short window (typing in a subject name) update one snapshot.
+    // The oldest snapshot holds every document; later ones only their changes.
+    record(type, label, { coalesce = false } = {}) {
+        const changes = storageManager.takeChanges();
+        const state = this.snapshots.length === 0 ? this.captureState() : this.captureChanges(changes);
+        const previous = this.pick(this.current, state);
+        const now = Date.now();
+        const merge = coalesce && this.lastRecord?.type === type &&
+            now - this.lastRecord.at < CONFIG.HISTORY.COALESCE_MS;
+        
+        if (!merge) {
+            this.undoStack.push({ state: previous, label });
+            if (this.undoStack.length > CONFIG.HISTORY.MAX_UNDO) this.undoStack.shift();
+        } else if (this.undoStack.length > 0) {
+            // Undo goes back to before the first of the merged actions
+            const entry = this.undoStack[this.undoStack.length - 1];
+            entry.state = this.mergeStates(previous, entry.state);
+        }
+        this.redoStack = [];
+        this.current = this.mergeStates(this.current, state);
+        this.lastRecord = { type, at: now };
+        
+        // Snapshots are never rewritten, so a merged one is replaced under a new id
+        const last = this.snapshots[this.snapshots.length - 1];
+        const replaces = merge && last?.type === type;
+        const snapshot = this.measure({
+            id: this.createId(now),
+            sequence: (last?.sequence || 0) + 1,
+            type,
+            label,
+            createdAt: new Date(now).toISOString(),
+            summary: this.summarise(this.current),
+            state: replaces ? this.mergeStates(last.state, state) : state
+        });
+        if (replaces) this.snapshots.pop();
+        this.snapshots.push(snapshot);
+        this.trim();
+        
+        // Report the first of a run of failed saves, not every one
+        storageManager.saveHistory({ snapshots: this.snapshots }).then(saved => {
+            if (!saved && !this.saveFailing) this.handlers.onSaveError?.(snapshot);
+            this.saveFailing = !saved;
+        });
+        return snapshot;
+    }
+
+    // Fold the oldest snapshots into the next one until the timeline fits its
+    // count and size limits
+    trim() {
+        const totalSize = () => this.snapshots.reduce((sum, snapshot) => sum + snapshot.size, 0);
+        while (this.snapshots.length > 1 &&
+            (this.snapshots.length > CONFIG.HISTORY.MAX_SNAPSHOTS || totalSize() > CONFIG.HISTORY.MAX_SIZE)) {
+            const [oldest, next] = this.snapshots.splice(0, 2);
+            const state = this.mergeStates(oldest.state, next.state);
+            
+            // Sizes of the folded documents are carried over rather than measured again
+            const sizes = Object.fromEntries(Object.keys(state).map(kind => [kind, (kind in next.state ? next.sizes : oldest.sizes)[kind] || 0]));
+            this.snapshots.unshift({
+                ...next,
+                id: this.createId(Date.now()),
+                state,
+                sizes,
+                size: Object.values(sizes).reduce((sum, size) => sum + size, 0)
+            });
+        }
+    }
+
+    // Apply a state's changes on top of another without changing either:
+    // documents are replaced, plan days are patched into the plan
+    mergeStates(base, changes) {
+        const merged = { ...base, ...changes };
+        if ('plan' in changes) {
+            delete merged.planDays;
+        } else if (changes.planDays && base.plan) {
+            merged.plan = {
+                ...base.plan,
+                schedule: base.plan.schedule.map((day, index) => changes.planDays[index] ?? day)
+            };
+            delete merged.planDays;
+        } else if (changes.planDays && base.planDays) {
+            merged.planDays = { ...base.planDays, ...changes.planDays };
+        }
+        return merged;
+    }
+
+    // Values from a full state for the documents and days a change touches
+    pick(state, changes) {
+        const picked = {};
+        Object.keys(changes).forEach(kind => {
+            if (kind !== 'planDays') {
+                picked[kind] = state[kind];
+            } else if (state.plan) {
+                picked.planDays = Object.fromEntries(Object.keys(changes.planDays).map(index => [index, state.plan.schedule[index]]));
+            }
+        });
+        return picked;
+    }
+
+    // Full state as of a snapshot: the oldest one with every later change up to it applied
+    resolveState(snapshotIndex) {
+        return this.snapshots
+            .slice(0, snapshotIndex + 1)
+            .reduce((state, snapshot) => this.mergeStates(state, snapshot.state), {});
+    }
+
+    // Note the JSON size of each document in a snapshot
+    measure(snapshot) {
+        const sizes = snapshot.sizes || Object.fromEntries(
+            Object.entries(snapshot.state).map(([kind, data]) => [kind, JSON.stringify(data ?? null).length])
+        );
+        return { ...snapshot, sizes, size: Object.values(sizes).reduce((sum, size) => sum + size, 0) };
+    }
+
+    // Snapshot id
+    createId(now) {
+        return `snapshot_${now.toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    // Counts shown in the timeline
+    summarise(state) {
+        const completedSessions = state.progress?.completedSessions || {};
+        const sessions = (state.plan?.schedule || [])
+            .flatMap(day => day.slots)
+            .filter(slot => slot.type !== CONFIG.SESSION_TYPES.BREAK);
+        
+        return {
+            days: state.plan?.schedule.length || 0,
+            sessions: sessions.length,
+            completed: sessions.filter(slot => completedSessions[slot.id]).length,
+            subjects: state.preferences?.subjects?.length || 0
+        };
+    }
+
+    // Go back to the state before the last action of this session; returns its label
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+        
+        this.redoStack.push({ state: this.pick(this.current, entry.state), label: entry.label });
+        this.apply(entry.state);
+        return entry.label;
+    }
+
+    // Re-apply the last undone action; returns its label
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+        
+        this.undoStack.push({ state: this.pick(this.current, entry.state), label: entry.label });
+        this.apply(entry.state);
+        return entry.label;
+    }
+
+    // Bring back an earlier version from the timeline (itself recorded, so it can be undone)
+    restore(snapshotId) {
+        const index = this.snapshots.findIndex(item => item.id === snapshotId);
+        if (index === -1) return null;
+        
+        const label = this.snapshots[index].label;
+        storageManager.replaceDocuments(this.resolveState(index));
+        this.lastRecord = null;
+        return this.record('restore', `Restored "${label}"`);
+    }
+
+    // Write a state back to storage
+    apply(state) {
+        storageManager.replaceDocuments(state);
+        storageManager.takeChanges();
+        this.current = this.captureState();
+        this.lastRecord = null;
+    }
+
+    // Timeline entries, newest first, without their stored state
+    getTimeline() {
+        return [...this.snapshots].reverse().map(({ state, sizes, size, ...entry }) => entry);
+    }
+
+    // Whether there is anything to undo
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    // Whether there is anything to redo
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+}
+
+// Create and export singleton instance
+const historyManager = new HistoryManager();
+export default historyManager;
\ No newline at end of file
@@ -0,0 +1,141 @@
+import CONFIG from './config.js';
+
+class ICalendarExporter {
+    // Build an iCalendar document with one event per session (and optionally per break)
+    buildCalendar(schedule, options = {}) {
+        const { includeBreaks = false, alarmMinutes = CONFIG.ICAL.DEFAULT_ALARM_MINUTES } = options;
+        const stamp = this.formatUtc(new Date());
+        
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${CONFIG.ICAL.PRODUCT_ID}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            'X-WR-CALNAME:Study Plan'
+        ];
+        
+        schedule.forEach(day => {
+            day.slots.forEach(slot => {
+                if (slot.type === CONFIG.SESSION_TYPES.BREAK && !includeBreaks) return;
+                lines.push(...this.buildEvent(day, slot, stamp, alarmMinutes));
+            });
+        });
+        
+        lines.push('END:VCALENDAR');
+        return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+    }
+
+    // Lines for a single VEVENT
+    buildEvent(day, slot, stamp, alarmMinutes) {
+        const isBreak = slot.type === CONFIG.SESSION_TYPES.BREAK;
+        const lines = [
+            'BEGIN:VEVENT',
+            `UID:${this.getUid(day, slot)}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART:${this.formatLocal(day.isoDate, slot.startMinutes)}`,
+            `DTEND:${this.formatLocal(day.isoDate, slot.endMinutes)}`,
+            `SUMMARY:${this.escapeText(this.getSummary(slot))}`
+        ];
+        
+        if (isBreak) {
+            lines.push('TRANSP:TRANSPARENT');
+        } else {
+            lines.push(
+                `DESCRIPTION:${this.escapeText(this.getDescription(slot))}`,
+                `CATEGORIES:${this.escapeText(slot.subjectName)}`,
+                `STATUS:${slot.completed ? 'CONFIRMED' : 'TENTATIVE'}`
+            );
+            
+            if (alarmMinutes > 0) {
+                lines.push(
+                    'BEGIN:VALARM',
+                    'ACTION:DISPLAY',
+                    `TRIGGER:-PT${alarmMinutes}M`,
+                    `DESCRIPTION:${this.escapeText(`${slot.subjectName} starts in ${alarmMinutes} minutes`)}`,
+                    'END:VALARM'
+                );
+            }
+        }
+        
+        lines.push('END:VEVENT');
+        return lines;
+    }
+
+    // Stable UID: session ids identify a slot across the plan. Breaks are named by
+    // date and start time, as in earlier exports, so re-importing updates them
+    // rather than adding copies whatever day of the plan they fall on.
+    getUid(day, slot) {
+        const id = slot.type === CONFIG.SESSION_TYPES.BREAK ? `${day.isoDate}_break_${slot.startMinutes}` : slot.id;
+        return `${id}@${CONFIG.ICAL.UID_DOMAIN}`;
+    }
+
+    // Event title
+    getSummary(slot) {
+        if (slot.type === CONFIG.SESSION_TYPES.BREAK) return slot.subjectName;
+        
+        const type = slot.type === CONFIG.SESSION_TYPES.REVISION ? 'Revision' : 'Study';
+        return `${slot.subjectName}${slot.topicName ? `: ${slot.topicName}` : ''} (${type})`;
+    }
+
+    // Event description
+    getDescription(slot) {
+        const details = [
+            `Priority: ${slot.priority}`,
+            `Difficulty: ${slot.difficulty}`,
+            `Duration: ${slot.duration} min`
+        ];
+        if (slot.topicName) details.unshift(`Topic: ${slot.topicName}`);
+        if (slot.reviewId) details.push(`Review #${(slot.repetition || 0) + 1}`);
+        return details.join('\n');
+    }
+
+    // Floating local date-time (YYYYMMDDTHHMMSS) so events keep their wall-clock time
+    formatLocal(isoDate, minutes) {
+        const hours = Math.floor(minutes / 60).toString().padStart(2, '0');
+        const mins = (minutes % 60).toString().padStart(2, '0');
+        return `${isoDate.replace(/-/g, '')}T${hours}${mins}00`;
+    }
+
+    // UTC date-time for DTSTAMP
+    formatUtc(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    // Escape TEXT values (RFC 5545 3.3.11)
+    escapeText(text) {
+        return String(text ?? '')
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    // Fold lines longer than 75 octets (RFC 5545 3.1)
+    foldLine(line) {
+        const encoder = new TextEncoder();
+        if (encoder.encode(line).length <= 75) return line;
+        
+        const parts = [];
+        let current = '';
+        let currentBytes = 0;
+        for (const char of line) {
+            const charBytes = encoder.encode(char).length;
+            const limit = parts.length === 0 ? 75 : 74; // Continuation lines start with a space
+            if (currentBytes + charBytes > limit) {
+                parts.push(current);
+                current = '';
+                currentBytes = 0;
+            }
+            current += char;
+            currentBytes += charBytes;
+        }
+        parts.push(current);
+        
+        return parts.join('\r\n ');
+    }
+}
+
+// Create and export singleton instance
+const icalExporter = new ICalendarExporter();
+export default icalExporter;
\ No newline at end of file
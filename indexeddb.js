@@ -0,0 +1,276 @@
+import CONFIG from './config.js';
+
+// IndexedDB backend: documents are split into records per day, session and event
+
+const STORES = ['documents', 'days', 'sessions', 'progressEvents', 'snapshots'];
+const HISTORY_STORE = 'snapshots';
+
+class IndexedDBAdapter {
+    constructor() {
+        this.name = 'IndexedDB';
+        this.db = null;
+        this.snapshots = new Map();
+    }
+
+    // Open the database, creating its stores on first use
+    open() {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            
+            const request = indexedDB.open(CONFIG.INDEXED_DB.NAME, CONFIG.INDEXED_DB.VERSION);
+            request.onupgradeneeded = () => this.upgrade(request.result);
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB upgrade is blocked by another tab'));
+        });
+    }
+
+    // Create the stores the database doesn't have yet
+    upgrade(db) {
+        STORES.forEach(store => {
+            if (!db.objectStoreNames.contains(store)) {
+                db.createObjectStore(store, { keyPath: 'key' });
+            }
+        });
+    }
+
+    // Load a document, reassembled from its records
+    async load(kind, scope) {
+        if (kind === 'history') {
+            const snapshots = await this.getRecords(HISTORY_STORE, scope);
+            if (snapshots.length === 0) return null;
+            return { snapshots: snapshots.sort((a, b) => a.sequence - b.sequence).map(record => record.data) };
+        }
+        
+        const [document] = await this.getRecords('documents', scope, `${scope}/${kind}`);
+        if (!document) return null;
+        
+        if (kind === 'plan') {
+            const [days, sessions] = await Promise.all([this.getRecords('days', scope), this.getRecords('sessions', scope)]);
+            const slotsByDay = {};
+            sessions
+                .sort((a, b) => a.order - b.order)
+                .forEach(session => {
+                    (slotsByDay[session.dayIndex] ||= []).push(session.data);
+                });
+            
+            return {
+                ...document.data,
+                schedule: days
+                    .sort((a, b) => a.index - b.index)
+                    .map(day => ({ ...day.data, slots: slotsByDay[day.index] || [] }))
+            };
+        }
+        
+        if (kind === 'progress') {
+            const events = await this.getRecords('progressEvents', scope);
+            const completedSessions = {};
+            const sessionLog = {};
+            events.forEach(event => {
+                if (event.completedAt) completedSessions[event.sessionId] = event.completedAt;
+                if (event.log) sessionLog[event.sessionId] = event.log;
+            });
+            return { ...document.data, completedSessions, sessionLog };
+        }
+        
+        return document.data;
+    }
+
+    // Save a document, writing only the records that changed
+    save(kind, data, scope) {
+        return this.writeRecords(this.toRecords(kind, data, scope), kind, scope);
+    }
+
+    // Remove a document and its records
+    remove(kind, scope) {
+        return this.writeRecords(this.toRecords(kind, null, scope), kind, scope);
+    }
+
+    // Save one session's completion event (removed when it has none) and the progress metadata
+    saveProgressEvent(sessionId, event, meta, scope) {
+        const key = `${scope}/${sessionId}`;
+        const records = {
+            documents: [{ key: `${scope}/progress`, scope, data: meta }],
+            progressEvents: event.completedAt || event.log ? [{ key, scope, sessionId, ...event }] : []
+        };
+        return this.writeRecords(records, 'progress', scope, recordKey => recordKey === key);
+    }
+
+    // Save one plan day and its sessions, deleting sessions that left it
+    savePlanDay(index, day, scope) {
+        const { slots = [], ...dayData } = day;
+        const records = {
+            days: [{ key: `${scope}/${index}`, scope, index, data: dayData }],
+            sessions: slots.map((slot, order) => ({ key: `${scope}/${index}:${slot.id}`, scope, dayIndex: index, order, data: slot }))
+        };
+        return this.writeRecords(records, 'plan', scope, key => key.startsWith(`${scope}/${index}:`));
+    }
+
+    // Save a document's metadata record alone
+    saveDocumentMeta(kind, meta, scope) {
+        return this.writeRecords({ documents: [{ key: `${scope}/${kind}`, scope, data: meta }] }, kind, scope, () => false);
+    }
+
+    // Split a document into records per store, keyed "scope/kind", "scope/dayIndex",
+    // "scope/dayIndex:slotId", "scope/sessionId" or "scope/snapshotId"
+    toRecords(kind, data, scope) {
+        if (kind === 'history') {
+            return {
+                [HISTORY_STORE]: (data?.snapshots || []).map(snapshot => ({
+                    key: `${scope}/${snapshot.id}`,
+                    scope,
+                    sequence: snapshot.sequence,
+                    data: snapshot
+                }))
+            };
+        }
+        
+        const records = { documents: [] };
+        if (kind === 'plan') Object.assign(records, { days: [], sessions: [] });
+        if (kind === 'progress') records.progressEvents = [];
+        if (!data) return records;
+        
+        if (kind === 'plan') {
+            const { schedule = [], ...meta } = data;
+            records.documents.push({ key: `${scope}/${kind}`, scope, data: meta });
+            schedule.forEach((day, index) => {
+                const { slots = [], ...dayData } = day;
+                records.days.push({ key: `${scope}/${index}`, scope, index, data: dayData });
+                slots.forEach((slot, order) => {
+                    records.sessions.push({ key: `${scope}/${index}:${slot.id}`, scope, dayIndex: index, order, data: slot });
+                });
+            });
+            return records;
+        }
+        
+        if (kind === 'progress') {
+            const { completedSessions = {}, sessionLog = {}, ...meta } = data;
+            records.documents.push({ key: `${scope}/${kind}`, scope, data: meta });
+            new Set([...Object.keys(completedSessions), ...Object.keys(sessionLog)]).forEach(sessionId => {
+                records.progressEvents.push({
+                    key: `${scope}/${sessionId}`,
+                    scope,
+                    sessionId,
+                    completedAt: completedSessions[sessionId] || null,
+                    log: sessionLog[sessionId] || null
+                });
+            });
+            return records;
+        }
+        
+        records.documents.push({ key: `${scope}/${kind}`, scope, data });
+        return records;
+    }
+
+    // Put changed records and delete stale ones in one transaction. A partial
+    // write only deletes the stale records whose keys it owns.
+    writeRecords(records, kind, scope, owns = key => key.startsWith(`${scope}/`)) {
+        const stores = Object.keys(records);
+        const puts = [];
+        const deletes = [];
+        const nextSnapshots = new Map();
+        
+        stores.forEach(store => {
+            records[store].forEach(record => {
+                const id = `${store}/${record.key}`;
+                const json = this.fingerprint(store, record);
+                nextSnapshots.set(id, json);
+                if (this.snapshots.get(id) !== json) puts.push({ store, record });
+            });
+            
+            // Within a scope whole stores belong to one document, except documents itself
+            this.snapshots.forEach((json, id) => {
+                const [snapshotStore, key] = this.splitSnapshotId(id);
+                if (snapshotStore !== store || nextSnapshots.has(id) || !key.startsWith(`${scope}/`) || !owns(key)) return;
+                if (store === 'documents' && key !== `${scope}/${kind}`) return;
+                deletes.push({ store, key });
+            });
+        });
+        
+        if (puts.length === 0 && deletes.length === 0) return Promise.resolve();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(stores, 'readwrite');
+            puts.forEach(({ store, record }) => transaction.objectStore(store).put(record));
+            deletes.forEach(({ store, key }) => transaction.objectStore(store).delete(key));
+            
+            transaction.oncomplete = () => {
+                deletes.forEach(({ store, key }) => this.snapshots.delete(`${store}/${key}`));
+                nextSnapshots.forEach((json, id) => this.snapshots.set(id, json));
+                resolve();
+            };
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    // Delete every plan record in a scope, keeping its history
+    clear(scope) {
+        const range = this.getScopeRange(scope);
+        const stores = STORES.filter(store => store !== HISTORY_STORE);
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(stores, 'readwrite');
+            stores.forEach(store => transaction.objectStore(store).delete(range));
+            transaction.oncomplete = () => {
+                [...this.snapshots.keys()]
+                    .filter(id => {
+                        const [store, key] = this.splitSnapshotId(id);
+                        return store !== HISTORY_STORE && key.startsWith(`${scope}/`);
+                    })
+                    .forEach(id => this.snapshots.delete(id));
+                resolve();
+            };
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // Read one record by key, or a scope's records in a store, remembering what was read
+    getRecords(store, scope, key) {
+        return new Promise((resolve, reject) => {
+            const objectStore = this.db.transaction(store, 'readonly').objectStore(store);
+            const request = key === undefined ? objectStore.getAll(this.getScopeRange(scope)) : objectStore.get(key);
+            
+            request.onsuccess = () => {
+                const records = key === undefined ? request.result : [request.result].filter(Boolean);
+                records.forEach(record => this.snapshots.set(`${store}/${record.key}`, this.fingerprint(store, record)));
+                resolve(records);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // What is remembered of a written record to tell whether it changed
+    fingerprint(store, record) {
+        return store === HISTORY_STORE ? record.key : JSON.stringify(record);
+    }
+
+    // Key range holding every record of a scope
+    getScopeRange(scope) {
+        return IDBKeyRange.bound(`${scope}/`, `${scope}/\uffff`);
+    }
+
+    // Split "store/key" (keys may contain slashes)
+    splitSnapshotId(id) {
+        const separator = id.indexOf('/');
+        return [id.slice(0, separator), id.slice(separator + 1)];
+    }
+
+    // Bytes used and available, from the browser's storage estimate
+    async estimate() {
+        if (typeof navigator !== 'undefined' && navigator.storage?.estimate) {
+            const { usage, quota } = await navigator.storage.estimate();
+            return { bytes: usage || 0, quota: quota || null };
+        }
+        return { bytes: 0, quota: null };
+    }
+}
+
+// Create and export singleton instance
+const indexedDBAdapter = new IndexedDBAdapter();
+export default indexedDBAdapter;
\ No newline at end of file
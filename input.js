@@ -1,19 +1,36 @@
 import CONFIG from './config.js';
+import availabilityManager from './availability.js';
+import breakPlanner from './breaks.js';
+import calendarImporter from './calendar.js';
+import historyManager from './history.js';
+import storageManager from './storage.js';
 
 class InputManager {
     constructor() {
         this.subjects = [];
         this.userPreferences = {};
+        this.availability = availabilityManager.getDefaultAvailability();
+        this.wellbeing = breakPlanner.getDefaultSettings();
+    }
+
+    // Load saved preferences into the form once storage is ready
+    initialize() {
         this.loadSavedPreferences();
+        this.renderAvailability();
+        this.renderWellbeing();
     }
 
-    // Load saved data from localStorage
+    // Load saved data from storage
     loadSavedPreferences() {
-        const saved = localStorage.getItem(CONFIG.STORAGE_KEYS.USER_PREFS);
+        const saved = storageManager.loadPreferences();
+        this.availability = availabilityManager.getDefaultAvailability();
+        this.wellbeing = breakPlanner.getDefaultSettings();
         if (saved) {
-            this.userPreferences = JSON.parse(saved);
+            this.userPreferences = saved;
             this.populateForm();
         } else {
+            this.userPreferences = {};
+            
             // Initialize with default subjects
             this.subjects = [
                 {
@@ -22,6 +39,7 @@ class InputManager {
                     priority: "high",
                     difficulty: "hard",
                     hoursNeeded: 30,
+                    examDate: null,
                     hoursCompleted: 0,
                     sessionsCompleted: 0,
                     weight: 0
@@ -32,6 +50,7 @@ class InputManager {
                     priority: "high",
                     difficulty: "medium",
                     hoursNeeded: 25,
+                    examDate: null,
                     hoursCompleted: 0,
                     sessionsCompleted: 0,
                     weight: 0
@@ -42,6 +61,7 @@ class InputManager {
                     priority: "medium",
                     difficulty: "medium",
                     hoursNeeded: 20,
+                    examDate: null,
                     hoursCompleted: 0,
                     sessionsCompleted: 0,
                     weight: 0
@@ -68,7 +88,14 @@ class InputManager {
             }
             if (prefs.sessionLength) document.getElementById('sessionLength').value = prefs.sessionLength;
             if (prefs.breakDuration) document.getElementById('breakDuration').value = prefs.breakDuration;
+            if (prefs.schedulingMode) document.getElementById('schedulingMode').value = prefs.schedulingMode;
+            if (prefs.chronotype) document.getElementById('chronotype').value = prefs.chronotype;
+        }
+        
+        if (this.userPreferences.availability) {
+            this.availability = { calendars: [], ...this.userPreferences.availability };
         }
+        this.wellbeing = breakPlanner.getSettings(this.userPreferences.wellbeing);
     }
 
     // Collect all user inputs
@@ -105,6 +132,7 @@ class InputManager {
         return {
             sessionLength: parseInt(document.getElementById('sessionLength').value),
             breakDuration: parseInt(document.getElementById('breakDuration').value),
+            schedulingMode: document.getElementById('schedulingMode').value,
             longBreakDuration: CONFIG.SCHEDULING_RULES.LONG_BREAK_DURATION
         };
     }
@@ -118,15 +146,26 @@ class InputManager {
             const name = input.querySelector('.subject-name').value.trim();
             const priority = input.querySelector('.subject-priority').value;
             const difficulty = input.querySelector('.subject-difficulty').value;
-            const hoursNeeded = parseInt(input.querySelector('.subject-hours').value) || 0;
+            const examDate = input.querySelector('.subject-exam')?.value || null;
+            const topics = this.getTopicsData(input);
+            
+            // With topics defined, the subject's hours are the sum of its topics
+            const hoursNeeded = topics.length > 0
+                ? topics.reduce((sum, topic) => sum + topic.hours, 0)
+                : parseInt(input.querySelector('.subject-hours').value) || 0;
+            
+            // Ids are kept on the row so sessions and completions keep matching after edits
+            if (!input.dataset.subjectId) input.dataset.subjectId = this.generateId();
             
             if (name && hoursNeeded > 0) {
                 subjects.push({
-                    id: this.generateId(),
+                    id: input.dataset.subjectId,
                     name,
                     priority,
                     difficulty,
                     hoursNeeded,
+                    examDate,
+                    topics,
                     hoursCompleted: 0,
                     sessionsCompleted: 0,
                     weight: 0 // Will be calculated by rules engine
@@ -138,15 +177,66 @@ class InputManager {
         return subjects;
     }
 
-    // Get time preferences (for advanced scheduling)
+    // Get ordered topics of a subject row
+    getTopicsData(row) {
+        return [...row.querySelectorAll('.topic-row')]
+            .map(topicRow => ({
+                id: topicRow.dataset.topicId,
+                name: topicRow.querySelector('.topic-name').value.trim(),
+                hours: parseFloat(topicRow.querySelector('.topic-hours').value) || 0,
+                prerequisites: [...topicRow.querySelector('.topic-prereqs').selectedOptions].map(option => option.value)
+            }))
+            .filter(topic => topic.name && topic.hours > 0);
+    }
+
+    // Get time preferences: the weekly availability model, wellbeing settings and chronotype
     getTimePreferences() {
         return {
-            morningStart: 9, // Default: 9 AM
-            eveningEnd: 21,  // Default: 9 PM
+            availability: this.getAvailabilityData(),
+            wellbeing: this.getWellbeingData(),
+            chronotype: document.getElementById('chronotype').value,
             avoidLateNight: CONFIG.TIME_PREFERENCES.AVOID_LATE_NIGHT
         };
     }
 
+    // Get availability data from form
+    getAvailabilityData() {
+        const rows = document.querySelectorAll('.availability-row');
+        
+        rows.forEach(row => {
+            const weekday = parseInt(row.dataset.weekday);
+            const { blocks } = availabilityManager.parseBlocks(row.querySelector('.availability-busy').value);
+            
+            this.availability.weekly[weekday] = {
+                start: row.querySelector('.availability-start').value,
+                end: row.querySelector('.availability-end').value,
+                busy: blocks
+            };
+        });
+        
+        return this.availability;
+    }
+
+    // Get wellbeing settings from form
+    getWellbeingData() {
+        const rows = document.querySelectorAll('.meal-row');
+        if (rows.length === 0) return this.wellbeing;
+        
+        this.wellbeing = {
+            meals: [...rows].map(row => ({
+                label: row.querySelector('.meal-label').value.trim() || 'Meal',
+                start: row.querySelector('.meal-start').value,
+                end: row.querySelector('.meal-end').value,
+                duration: parseInt(row.querySelector('.meal-duration').value) || 0
+            })),
+            maxFocusHours: parseFloat(document.getElementById('maxFocusHours').value) || CONFIG.WELLBEING.MAX_FOCUS_HOURS,
+            restDay: parseInt(document.getElementById('restDay').value),
+            windDownMinutes: parseInt(document.getElementById('windDownMinutes').value) || 0
+        };
+        
+        return this.wellbeing;
+    }
+
     // Validate inputs
     validateInputs() {
         const errors = [];
@@ -166,11 +256,62 @@ class InputManager {
             errors.push("Daily study hours must be between 2 and 12 hours");
         }
         
+        // Check availability
+        document.querySelectorAll('.availability-row').forEach(row => {
+            const dayName = CONFIG.WEEKDAYS[row.dataset.weekday];
+            const start = availabilityManager.parseTime(row.querySelector('.availability-start').value);
+            const end = availabilityManager.parseTime(row.querySelector('.availability-end').value);
+            const { errors: blockErrors } = availabilityManager.parseBlocks(row.querySelector('.availability-busy').value);
+            
+            if (start === null || end === null || end <= start) {
+                errors.push(`${dayName}: available until time must be after available from time`);
+            }
+            if (blockErrors.length > 0) {
+                errors.push(`${dayName}: invalid busy time "${blockErrors.join(', ')}" (use HH:MM-HH:MM)`);
+            }
+        });
+        
+        // Check meal windows can hold their meals
+        this.getWellbeingData().meals.forEach(meal => {
+            const start = availabilityManager.parseTime(meal.start);
+            const end = availabilityManager.parseTime(meal.end);
+            
+            if (start === null || end === null || end <= start) {
+                errors.push(`${meal.label}: window must end after it starts`);
+            } else if (meal.duration <= 0 || meal.duration > end - start) {
+                errors.push(`${meal.label}: break must fit inside its ${meal.start}-${meal.end} window`);
+            }
+        });
+        
+        if (this.wellbeing.maxFocusHours < 1 || this.wellbeing.maxFocusHours > 12) {
+            errors.push("Max focus hours must be between 1 and 12 hours");
+        }
+        
         // Check subjects
         if (subjects.length === 0) {
             errors.push("Please add at least one subject");
         }
         
+        // Check topic prerequisites can be satisfied
+        subjects.forEach(subject => {
+            const cycle = this.findTopicCycle(subject.topics || []);
+            if (cycle) {
+                errors.push(`Topics of ${subject.name} have circular prerequisites: ${cycle.join(' → ')}`);
+            }
+        });
+        
+        // Check exam dates fall inside the study period
+        subjects.forEach(subject => {
+            if (!subject.examDate) return;
+            
+            const examDate = new Date(subject.examDate);
+            if (examDate <= timeline.startDate) {
+                errors.push(`Exam date for ${subject.name} must be after the start date`);
+            } else if (examDate > new Date(timeline.endDate.getTime() + 24 * 60 * 60 * 1000)) {
+                errors.push(`Exam date for ${subject.name} is after the end date. Extend the timeline or clear the exam date.`);
+            }
+        });
+        
         // Check total hours needed
         const totalHoursNeeded = subjects.reduce((sum, subj) => sum + subj.hoursNeeded, 0);
         const totalAvailableHours = timeline.totalStudyHours;
@@ -185,7 +326,38 @@ class InputManager {
         };
     }
 
-    // Save preferences to localStorage
+    // Find a prerequisite cycle among topics; returns topic names or null
+    findTopicCycle(topics) {
+        const byId = Object.fromEntries(topics.map(topic => [topic.id, topic]));
+        const state = {}; // 1 = visiting, 2 = done
+        const path = [];
+        
+        const visit = (topic) => {
+            if (state[topic.id] === 2) return null;
+            if (state[topic.id] === 1) {
+                return [...path.slice(path.indexOf(topic.name)), topic.name];
+            }
+            
+            state[topic.id] = 1;
+            path.push(topic.name);
+            for (const prerequisiteId of topic.prerequisites || []) {
+                const prerequisite = byId[prerequisiteId];
+                const cycle = prerequisite && visit(prerequisite);
+                if (cycle) return cycle;
+            }
+            path.pop();
+            state[topic.id] = 2;
+            return null;
+        };
+        
+        for (const topic of topics) {
+            const cycle = visit(topic);
+            if (cycle) return cycle;
+        }
+        return null;
+    }
+
+    // Save preferences to storage
     savePreferences() {
         const data = {
             subjects: this.subjects,
@@ -195,12 +367,16 @@ class InputManager {
                 dailyHours: parseInt(document.getElementById('dailyHours').value),
                 sessionLength: parseInt(document.getElementById('sessionLength').value),
                 breakDuration: parseInt(document.getElementById('breakDuration').value),
+                schedulingMode: document.getElementById('schedulingMode').value,
+                chronotype: document.getElementById('chronotype').value,
                 lastUpdated: new Date().toISOString()
-            }
+            },
+            availability: this.availability,
+            wellbeing: this.wellbeing
         };
         
-        localStorage.setItem(CONFIG.STORAGE_KEYS.USER_PREFS, JSON.stringify(data));
-        console.log('Preferences saved to localStorage');
+        storageManager.savePreferences(data);
+        console.log('Preferences saved');
     }
 
     // Render subjects list
@@ -211,6 +387,7 @@ class InputManager {
         this.subjects.forEach(subject => {
             const row = document.createElement('div');
             row.className = 'subject-input';
+            row.dataset.subjectId = subject.id;
             row.innerHTML = `
                 <input type="text" placeholder="Subject Name" class="subject-name" value="${subject.name}">
                 <select class="subject-priority">
@@ -225,9 +402,32 @@ class InputManager {
                 </select>
                 <input type="number" placeholder="Hours" class="subject-hours" min="1" max="100" value="${subject.hoursNeeded}">
                 <button class="btn-remove-subject"><i class="fas fa-times"></i></button>
+                <div class="subject-exam-group">
+                    <label>
+                        <span>Exam date</span>
+                        <input type="date" class="subject-exam" value="${subject.examDate || ''}">
+                    </label>
+                    <button type="button" class="btn-secondary btn-toggle-topics">Topics</button>
+                </div>
+                <div class="subject-topics">
+                    <div class="topics-list"></div>
+                    <button type="button" class="btn-secondary btn-add-topic"><i class="fas fa-plus"></i> Add topic</button>
+                </div>
             `;
             
             container.appendChild(row);
+            this.renderTopics(row, subject.topics || []);
+            
+            // Topic editor
+            row.querySelector('.btn-toggle-topics').addEventListener('click', () => {
+                row.classList.toggle('show-topics');
+            });
+            row.querySelector('.btn-add-topic').addEventListener('click', () => {
+                const topics = this.getTopicsData(row);
+                topics.push({ id: this.generateId(), name: `Topic ${topics.length + 1}`, hours: 2, prerequisites: [] });
+                this.renderTopics(row, topics);
+                this.updateSubjectsFromDOM();
+            });
             
             // Add event listener to remove button
             row.querySelector('.btn-remove-subject').addEventListener('click', () => {
@@ -241,16 +441,244 @@ class InputManager {
                 row.querySelector('.subject-priority').addEventListener(eventType, () => this.updateSubjectsFromDOM());
                 row.querySelector('.subject-difficulty').addEventListener(eventType, () => this.updateSubjectsFromDOM());
                 row.querySelector('.subject-hours').addEventListener(eventType, () => this.updateSubjectsFromDOM());
+                row.querySelector('.subject-exam').addEventListener(eventType, () => this.updateSubjectsFromDOM());
             });
         });
         
         this.updateStats();
     }
 
+    // Render the ordered topics of a subject row
+    renderTopics(row, topics) {
+        const list = row.querySelector('.topics-list');
+        list.innerHTML = '';
+        
+        topics.forEach(topic => {
+            const prerequisiteOptions = topics
+                .filter(other => other.id !== topic.id)
+                .map(other => `<option value="${other.id}" ${(topic.prerequisites || []).includes(other.id) ? 'selected' : ''}>${other.name}</option>`)
+                .join('');
+            
+            const topicRow = document.createElement('div');
+            topicRow.className = 'topic-row';
+            topicRow.dataset.topicId = topic.id;
+            topicRow.innerHTML = `
+                <input type="text" class="topic-name" placeholder="Topic" value="${topic.name}">
+                <input type="number" class="topic-hours" min="0.5" step="0.5" value="${topic.hours}" title="Estimated hours">
+                <select class="topic-prereqs" multiple title="Prerequisites">${prerequisiteOptions}</select>
+                <button type="button" class="btn-remove-topic"><i class="fas fa-times"></i></button>
+            `;
+            list.appendChild(topicRow);
+            
+            topicRow.querySelector('.btn-remove-topic').addEventListener('click', () => {
+                const remaining = this.getTopicsData(row)
+                    .filter(other => other.id !== topic.id)
+                    .map(other => ({ ...other, prerequisites: other.prerequisites.filter(id => id !== topic.id) }));
+                this.renderTopics(row, remaining);
+                this.updateSubjectsFromDOM();
+            });
+            
+            // Names feed the prerequisite lists, so re-render once editing finishes
+            topicRow.querySelector('.topic-name').addEventListener('change', () => {
+                this.renderTopics(row, this.getTopicsData(row));
+                this.updateSubjectsFromDOM();
+            });
+            ['input', 'change'].forEach(eventType => {
+                topicRow.querySelector('.topic-hours').addEventListener(eventType, () => {
+                    this.syncTopicHours(row, this.getTopicsData(row));
+                    this.updateSubjectsFromDOM();
+                });
+                topicRow.querySelector('.topic-prereqs').addEventListener(eventType, () => this.updateSubjectsFromDOM());
+            });
+        });
+        
+        this.syncTopicHours(row, topics);
+    }
+
+    // Topic hours drive the subject's hours
+    syncTopicHours(row, topics) {
+        const hoursInput = row.querySelector('.subject-hours');
+        const topicHours = topics.reduce((sum, topic) => sum + topic.hours, 0);
+        hoursInput.readOnly = topics.length > 0;
+        if (topics.length > 0) hoursInput.value = topicHours;
+        row.querySelector('.btn-toggle-topics').textContent = topics.length > 0 ? `Topics (${topics.length})` : 'Topics';
+    }
+
+    // Add an empty subject row
+    addSubjectRow() {
+        this.getSubjectsData();
+        this.subjects.push({
+            id: this.generateId(),
+            name: '',
+            priority: 'medium',
+            difficulty: 'medium',
+            hoursNeeded: 10,
+            examDate: null,
+            topics: [],
+            hoursCompleted: 0,
+            sessionsCompleted: 0,
+            weight: 0
+        });
+        this.renderSubjects();
+        
+        const rows = document.querySelectorAll('.subject-input .subject-name');
+        rows[rows.length - 1]?.focus();
+    }
+
+    // Render weekly availability editor and blocked dates
+    renderAvailability() {
+        const container = document.getElementById('availabilityContainer');
+        if (!container) return;
+        container.innerHTML = '';
+        
+        CONFIG.WEEKDAYS.forEach((dayName, weekday) => {
+            const dayAvailability = this.availability.weekly[weekday];
+            const row = document.createElement('div');
+            row.className = 'availability-row';
+            row.dataset.weekday = weekday;
+            row.innerHTML = `
+                <span class="availability-day">${dayName.slice(0, 3)}</span>
+                <input type="time" class="availability-start" value="${dayAvailability.start}" title="Available from">
+                <input type="time" class="availability-end" value="${dayAvailability.end}" title="Available until">
+                <input type="text" class="availability-busy" placeholder="Busy e.g. 09:00-11:00" value="${availabilityManager.formatBlocks(dayAvailability.busy)}">
+            `;
+            container.appendChild(row);
+            
+            row.querySelectorAll('input').forEach(input => {
+                input.addEventListener('change', () => this.updateAvailabilityFromDOM());
+            });
+        });
+        
+        this.renderBlockedDates();
+        this.renderCalendars();
+    }
+
+    // Render meal windows, focus limit, rest day and wind-down
+    renderWellbeing() {
+        const container = document.getElementById('mealsContainer');
+        if (!container) return;
+        container.innerHTML = '';
+        
+        this.wellbeing.meals.forEach(meal => {
+            const row = document.createElement('div');
+            row.className = 'meal-row';
+            row.innerHTML = `
+                <input type="text" class="meal-label" value="${meal.label}" title="Meal">
+                <input type="time" class="meal-start" value="${meal.start}" title="Window opens">
+                <input type="time" class="meal-end" value="${meal.end}" title="Window closes">
+                <input type="number" class="meal-duration" value="${meal.duration}" min="5" step="5" title="Break length (minutes)">
+            `;
+            container.appendChild(row);
+            
+            row.querySelectorAll('input').forEach(input => {
+                input.addEventListener('change', () => this.updateWellbeingFromDOM());
+            });
+        });
+        
+        const restDay = document.getElementById('restDay');
+        restDay.innerHTML = `
+            <option value="-1">No rest day</option>
+            ${CONFIG.WEEKDAYS.map((dayName, weekday) => `<option value="${weekday}">${dayName}</option>`).join('')}
+        `;
+        restDay.value = this.wellbeing.restDay;
+        document.getElementById('maxFocusHours').value = this.wellbeing.maxFocusHours;
+        document.getElementById('windDownMinutes').value = this.wellbeing.windDownMinutes;
+    }
+
+    // Render the list of one-off blocked dates
+    renderBlockedDates() {
+        const list = document.getElementById('blockedDatesList');
+        if (!list) return;
+        list.innerHTML = '';
+        
+        [...this.availability.blockedDates].sort().forEach(isoDate => {
+            const chip = document.createElement('span');
+            chip.className = 'blocked-date';
+            chip.innerHTML = `${isoDate} <button title="Unblock date"><i class="fas fa-times"></i></button>`;
+            chip.querySelector('button').addEventListener('click', () => this.removeBlockedDate(isoDate));
+            list.appendChild(chip);
+        });
+    }
+
+    // Block a date completely
+    addBlockedDate(isoDate) {
+        if (!isoDate || this.availability.blockedDates.includes(isoDate)) return;
+        
+        this.availability.blockedDates.push(isoDate);
+        this.renderBlockedDates();
+        this.savePreferences();
+    }
+
+    // Unblock a date
+    removeBlockedDate(isoDate) {
+        this.availability.blockedDates = this.availability.blockedDates.filter(date => date !== isoDate);
+        this.renderBlockedDates();
+        this.savePreferences();
+    }
+
+    // Render the list of imported calendars
+    renderCalendars() {
+        const list = document.getElementById('importedCalendarsList');
+        if (!list) return;
+        list.innerHTML = '';
+        
+        this.availability.calendars.forEach(calendar => {
+            const chip = document.createElement('span');
+            chip.className = 'blocked-date imported-calendar';
+            chip.title = `Imported ${new Date(calendar.importedAt).toLocaleString()}`;
+            chip.innerHTML = `
+                <i class="fas fa-calendar-alt"></i> <span class="calendar-name"></span>
+                <button title="Remove calendar"><i class="fas fa-times"></i></button>
+            `;
+            chip.querySelector('.calendar-name').textContent = `${calendar.name} (${calendar.events.length} events)`;
+            chip.querySelector('button').addEventListener('click', () => this.removeCalendar(calendar.id));
+            list.appendChild(chip);
+        });
+    }
+
+    // Import an .ics file's events as busy time
+    importCalendar(name, text) {
+        const { events, errors } = calendarImporter.parseCalendar(text);
+        if (events.length === 0) {
+            return { success: false, message: `No busy events found in ${name}` };
+        }
+        
+        // Replace the calendar list so cached busy blocks are rebuilt
+        this.availability.calendars = [
+            ...this.availability.calendars.filter(calendar => calendar.name !== name),
+            { id: `calendar_${Date.now()}`, name, importedAt: new Date().toISOString(), events }
+        ];
+        this.renderCalendars();
+        this.savePreferences();
+        
+        const skipped = errors.length > 0 ? ` (${errors.length} skipped)` : '';
+        return { success: true, message: `Imported ${events.length} events from ${name}${skipped}` };
+    }
+
+    // Remove an imported calendar
+    removeCalendar(calendarId) {
+        this.availability.calendars = this.availability.calendars.filter(calendar => calendar.id !== calendarId);
+        this.renderCalendars();
+        this.savePreferences();
+    }
+
+    // Update availability from DOM
+    updateAvailabilityFromDOM() {
+        this.getAvailabilityData();
+        this.savePreferences();
+    }
+
+    // Update wellbeing settings from DOM
+    updateWellbeingFromDOM() {
+        this.getWellbeingData();
+        this.savePreferences();
+    }
+
     // Update subjects from DOM
     updateSubjectsFromDOM() {
         this.getSubjectsData();
         this.savePreferences();
+        historyManager.record('subjects', 'Edited subjects', { coalesce: true });
         this.updateStats();
     }
 
@@ -265,9 +693,8 @@ class InputManager {
         const totalHoursNeeded = subjects.reduce((sum, subj) => sum + subj.hoursNeeded, 0);
         document.getElementById('totalHours').textContent = totalHoursNeeded;
         
-        // Calculate completion rate
-        const totalCompleted = subjects.reduce((sum, subj) => sum + subj.hoursCompleted, 0);
-        const completionRate = totalHoursNeeded > 0 ? Math.round((totalCompleted / totalHoursNeeded) * 100) : 0;
+        // Completion rate comes from the saved plan's progress, not the form
+        const { completionRate } = storageManager.getCompletionStats();
         document.getElementById('completionRate').textContent = `${completionRate}%`;
     }
 
@@ -281,7 +708,7 @@ class InputManager {
         const data = {
             metadata: {
                 exportedAt: new Date().toISOString(),
-                version: '1.0',
+                version: CONFIG.SCHEMA_VERSION,
                 tool: 'Smart Study Planner'
             },
             inputs: this.collectAllInputs(),
@@ -315,6 +742,21 @@ class InputManager {
                     const settings = inputs.sessionSettings;
                     document.getElementById('sessionLength').value = settings.sessionLength;
                     document.getElementById('breakDuration').value = settings.breakDuration;
+                    if (settings.schedulingMode) document.getElementById('schedulingMode').value = settings.schedulingMode;
+                }
+                
+                if (inputs.preferences?.availability) {
+                    this.availability = { calendars: [], ...inputs.preferences.availability };
+                    this.renderAvailability();
+                }
+                
+                if (inputs.preferences?.wellbeing) {
+                    this.wellbeing = breakPlanner.getSettings(inputs.preferences.wellbeing);
+                    this.renderWellbeing();
+                }
+                
+                if (inputs.preferences?.chronotype) {
+                    document.getElementById('chronotype').value = inputs.preferences.chronotype;
                 }
             }
             
@@ -0,0 +1,171 @@
+import CONFIG from './config.js';
+import availabilityManager from './availability.js';
+
+// Structural checks on a plan, separate from the study rules in rules.js
+
+const SEVERITY_TYPES = { error: 'important', warning: 'warning', info: 'info' };
+
+class IntegrityChecker {
+    // Check a whole plan; returns { isValid, findings } where a finding is
+    // { type, severity, day, slotId, subjectId, message } and severity is 'error', 'warning' or 'info'
+    checkPlan(plan) {
+        const findings = [
+            ...(plan?.schedule || []).flatMap((daySchedule, dayIndex) => this.checkDay(daySchedule, dayIndex, plan.availability)),
+            ...this.checkIds(plan?.schedule || []),
+            ...this.checkCoverage(plan?.schedule || [], plan?.allocations || [])
+        ];
+        
+        return {
+            isValid: !findings.some(finding => finding.severity === 'error'),
+            findings
+        };
+    }
+
+    // Check a plan into `plan.integrity` and put its findings at the top of its
+    // suggestions, tagged with source 'integrity' so the next check replaces them
+    applyTo(plan) {
+        plan.integrity = this.checkPlan(plan);
+        plan.suggestions = [
+            ...this.getSuggestions(plan.integrity.findings),
+            ...(plan.suggestions || []).filter(suggestion => suggestion.source !== 'integrity')
+        ];
+        return plan.integrity;
+    }
+
+    // Ordering, overlaps, day bounds, availability and gaps within one day
+    checkDay(daySchedule, dayIndex, availability) {
+        const findings = [];
+        const slots = daySchedule.slots || [];
+        const windows = daySchedule.isoDate ? availabilityManager.getFreeWindows(availability, daySchedule.isoDate) : null;
+        
+        slots.forEach((slot, index) => {
+            if (index > 0 && slot.startMinutes < slots[index - 1].startMinutes) {
+                findings.push(this.slotFinding('out_of_order', 'warning', dayIndex, slot,
+                    `${slot.subjectName} at ${slot.startTime} is listed after a later slot`));
+            }
+            if (slot.startMinutes < 0 || slot.endMinutes > 24 * 60 || slot.endMinutes <= slot.startMinutes) {
+                findings.push(this.slotFinding('outside_day', 'error', dayIndex, slot,
+                    `${slot.subjectName} does not fit within the day`));
+            }
+            
+            // Past and completed sessions happened where they happened
+            const checkWindow = windows && slot.type !== CONFIG.SESSION_TYPES.BREAK && !slot.completed && !slot.missed;
+            if (checkWindow && !windows.some(([start, end]) => slot.startMinutes >= start && slot.endMinutes <= end)) {
+                findings.push(this.slotFinding('out_of_window', 'warning', dayIndex, slot,
+                    `${slot.subjectName} at ${slot.startTime} is outside your available time`));
+            }
+        });
+        
+        // Overlaps and gaps are judged in time order, whatever order the slots are stored in
+        const sorted = [...slots].sort((a, b) => a.startMinutes - b.startMinutes);
+        let latest = null;
+        sorted.forEach(slot => {
+            if (latest && slot.startMinutes < latest.endMinutes) {
+                findings.push(this.slotFinding('slot_overlap', 'error', dayIndex, slot,
+                    `${slot.subjectName} at ${slot.startTime} overlaps ${latest.subjectName}`));
+            } else if (latest && windows) {
+                const unused = this.getFreeMinutes(windows, latest.endMinutes, slot.startMinutes);
+                if (unused >= CONFIG.INTEGRITY.MAX_GAP_MINUTES) {
+                    findings.push(this.slotFinding('gap', 'info', dayIndex, slot,
+                        `${unused} min of free time unused before ${slot.subjectName} at ${slot.startTime}`));
+                }
+            }
+            if (!latest || slot.endMinutes > latest.endMinutes) latest = slot;
+        });
+        
+        return findings;
+    }
+
+    // Slot ids must be unique across the whole plan: completions are keyed by them
+    checkIds(schedule) {
+        const findings = [];
+        const seen = new Map();
+        
+        schedule.forEach((daySchedule, dayIndex) => {
+            (daySchedule.slots || []).forEach(slot => {
+                if (seen.has(slot.id)) {
+                    findings.push(this.slotFinding('duplicate_id', 'error', dayIndex, slot,
+                        `${slot.subjectName} at ${slot.startTime} has the same id as a slot on Day ${seen.get(slot.id) + 1}`));
+                } else {
+                    seen.set(slot.id, dayIndex);
+                }
+            });
+        });
+        
+        return findings;
+    }
+
+    // Planned study hours of each subject against the hours it needs. Shortfalls
+    // before an exam are reported by the deadline rule, so only subjects without
+    // one are checked for them here.
+    checkCoverage(schedule, allocations) {
+        const minutes = {};
+        schedule.flatMap(daySchedule => daySchedule.slots || [])
+            .filter(slot => slot.type === CONFIG.SESSION_TYPES.STUDY && !slot.missed)
+            .forEach(slot => {
+                minutes[slot.subjectId] = (minutes[slot.subjectId] || 0) + slot.duration;
+            });
+        
+        const tolerance = CONFIG.INTEGRITY.COVERAGE_TOLERANCE;
+        return allocations.flatMap(subject => {
+            const planned = parseFloat(((minutes[subject.id] || 0) / 60).toFixed(1));
+            const difference = parseFloat((planned - subject.hoursNeeded).toFixed(1));
+            
+            if (difference < -tolerance && !subject.examDate) {
+                return [{
+                    type: 'coverage_shortfall',
+                    severity: 'warning',
+                    subjectId: subject.id,
+                    message: `${subject.name} has ${planned}h planned of the ${subject.hoursNeeded}h it needs`
+                }];
+            }
+            if (difference > tolerance) {
+                return [{
+                    type: 'coverage_excess',
+                    severity: 'info',
+                    subjectId: subject.id,
+                    message: `${subject.name} has ${planned}h planned, ${difference}h more than the ${subject.hoursNeeded}h it needs`
+                }];
+            }
+            return [];
+        });
+    }
+
+    // Suggestions for the suggestions panel
+    getSuggestions(findings) {
+        return findings.map(finding => {
+            const where = finding.day !== undefined ? `Day ${finding.day + 1}: ` : '';
+            let advice = 'Move or shorten the slot.';
+            let action = 'reschedule';
+            switch(finding.type) {
+                case 'duplicate_id': advice = 'Generate the plan again to give every slot its own id.'; break;
+                case 'gap': advice = 'Use it for a session or keep it free on purpose.'; action = 'consider_reschedule'; break;
+                case 'coverage_shortfall': advice = 'Increase daily hours or extend the timeline.'; action = 'extend_deadline'; break;
+                case 'coverage_excess': advice = 'Lower its hours or remove a session.'; action = 'consider_reschedule'; break;
+            }
+            
+            return {
+                type: SEVERITY_TYPES[finding.severity],
+                message: `${where}${finding.message}. ${advice}`,
+                action,
+                priority: finding.severity === 'error' ? 'high' : finding.severity === 'warning' ? 'medium' : 'low',
+                source: 'integrity',
+                target: { type: finding.type, day: finding.day, slotId: finding.slotId, subjectId: finding.subjectId }
+            };
+        });
+    }
+
+    // Minutes of free time between two times
+    getFreeMinutes(windows, from, to) {
+        return windows.reduce((sum, [start, end]) => sum + Math.max(0, Math.min(end, to) - Math.max(start, from)), 0);
+    }
+
+    // A finding about one slot
+    slotFinding(type, severity, day, slot, message) {
+        return { type, severity, day, slotId: slot.id, message };
+    }
+}
+
+// Create and export singleton instance
+const integrityChecker = new IntegrityChecker();
+export default integrityChecker;
\ No newline at end of file
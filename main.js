@@ -1,19 +1,43 @@
 
-// import CONFIG from './config.js';
+import CONFIG from './config.js';
+import analyticsEngine from './analytics.js';
+import availabilityManager from './availability.js';
+import dateHelper from './dates.js';
+import planEditor from './editor.js';
+import historyManager from './history.js';
 import inputManager from './input.js';
+import progressTracker from './progress.js';
+import proposalPlanner from './proposals.js';
 import rulesEngine from './rules.js';
-import scheduler from './scheduler.js';
+import revisionEngine from './revision.js';
+import scheduler from './sheduler.js';
 import storageManager from './storage.js';
+import focusTimer from './timer.js';
 import uiManager from './ui.js';
+import whatIfPlanner from './whatif.js';
 
 // Global state
+let currentPlanId = null;
 let currentPlan = null;
 let currentDayIndex = 0;
+let currentView = 'day';
+let pendingReplan = null;
+let pendingCandidates = [];
+let draggedSlot = null;
+let shownSuggestions = [];
 
 // Initialize application
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     console.log('Smart Study Planner Initialized');
     
+    // Open storage before anything reads saved data
+    await storageManager.init();
+    currentPlanId = storageManager.getActivePlanId();
+    renderPlanSwitcher();
+    inputManager.initialize();
+    revisionEngine.loadReviews();
+    historyManager.load();
+    
     // Initialize UI
     initializeUI();
     
@@ -37,18 +61,41 @@ function initializeUI() {
     });
     
     // Add initial event listeners to form inputs
-    ['startDate', 'endDate', 'sessionLength', 'breakDuration'].forEach(id => {
+    ['startDate', 'endDate', 'sessionLength', 'breakDuration', 'schedulingMode', 'chronotype'].forEach(id => {
         document.getElementById(id).addEventListener('change', () => {
             inputManager.updateStats();
             inputManager.savePreferences();
         });
     });
     
+    ['maxFocusHours', 'restDay', 'windDownMinutes'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => inputManager.updateWellbeingFromDOM());
+    });
+    
     // Add subject button
     document.getElementById('addSubjectBtn').addEventListener('click', () => {
         inputManager.addSubjectRow();
     });
     
+    // Block a date button
+    document.getElementById('addBlockedDateBtn').addEventListener('click', () => {
+        const input = document.getElementById('blockedDateInput');
+        inputManager.addBlockedDate(input.value);
+        input.value = '';
+    });
+    
+    // Import calendar button
+    const calendarInput = document.getElementById('calendarFileInput');
+    document.getElementById('importCalendarBtn').addEventListener('click', () => calendarInput.click());
+    calendarInput.addEventListener('change', async () => {
+        const file = calendarInput.files[0];
+        if (!file) return;
+        
+        const result = inputManager.importCalendar(file.name, await file.text());
+        uiManager.showNotification(result.message, result.success ? 'success' : 'error');
+        calendarInput.value = '';
+    });
+    
     // Update stats initially
     inputManager.updateStats();
 }
@@ -62,16 +109,142 @@ function setupEventListeners() {
     // Generate plan button
     document.getElementById('generatePlanBtn').addEventListener('click', generatePlan);
     
+    // What-if comparison
+    document.getElementById('compareOptionsBtn').addEventListener('click', showWhatIf);
+    document.getElementById('whatIfDimension').addEventListener('change', (e) => compareOptions(e.target.value));
+    document.getElementById('whatIfResults').addEventListener('click', (e) => {
+        const button = e.target.closest('.btn-adopt-candidate');
+        if (button) adoptCandidate(button.dataset.candidateId);
+    });
+    document.querySelectorAll('.btn-close-whatif').forEach(button => {
+        button.addEventListener('click', () => {
+            pendingCandidates = [];
+            uiManager.hideModal('whatIfModal');
+        });
+    });
+    
     // Navigation buttons
-    document.getElementById('prevDayBtn').addEventListener('click', showPreviousDay);
-    document.getElementById('nextDayBtn').addEventListener('click', showNextDay);
+    document.getElementById('prevDayBtn').addEventListener('click', () => stepSchedule(-1));
+    document.getElementById('nextDayBtn').addEventListener('click', () => stepSchedule(1));
+    document.getElementById('todayBtn').addEventListener('click', jumpToToday);
+    
+    // Day, week and month views; clicking a day in the grids opens it
+    document.querySelectorAll('.view-toggle button').forEach(button => {
+        button.addEventListener('click', () => setView(button.dataset.view));
+    });
+    ['weekView', 'monthView'].forEach(id => {
+        document.getElementById(id).addEventListener('click', (e) => {
+            if (e.target.closest('.week-resize')) return;
+            const target = e.target.closest('[data-day-index]');
+            if (target) openDay(parseInt(target.dataset.dayIndex));
+        });
+    });
+    
+    // Completion and focus buttons (delegated so re-rendered rows keep working)
+    document.getElementById('timetableSlots').addEventListener('click', (e) => {
+        const button = e.target.closest('.btn-complete');
+        if (button) {
+            toggleSessionCompletion(button.dataset.sessionId);
+        }
+        
+        const focusButton = e.target.closest('.btn-focus');
+        if (focusButton) {
+            startFocusTimer(focusButton.dataset.sessionId);
+        }
+        
+        const removeButton = e.target.closest('.btn-remove-slot');
+        if (removeButton) {
+            applyEdit(planEditor.removeSlot(currentPlan, currentDayIndex, removeButton.dataset.slotId));
+        }
+    });
+    
+    // Manual editing: drag rows onto each other to swap them, drag week blocks to
+    // another time or day, resize week blocks from their bottom edge, add slots
+    setupDragAndDrop();
+    document.getElementById('addSlotBtn').addEventListener('click', addSlot);
+    document.getElementById('slotEditorType').addEventListener('change', (e) => {
+        document.getElementById('slotEditorSubject').disabled = e.target.value === CONFIG.SESSION_TYPES.BREAK;
+    });
+    
+    // Apply or dismiss a suggestion
+    document.getElementById('suggestionsList').addEventListener('click', (e) => {
+        const applyButton = e.target.closest('.btn-apply-suggestion');
+        const dismissButton = e.target.closest('.btn-dismiss-suggestion');
+        if (applyButton) applySuggestion(shownSuggestions[applyButton.dataset.index]);
+        if (dismissButton) dismissSuggestion(shownSuggestions[dismissButton.dataset.index]);
+    });
+    
+    // Focus timer controls
+    focusTimer.setHandlers({
+        onTick: (state) => uiManager.renderFocusTimer(state),
+        onFocusComplete: (session, focusLog) => setSessionCompletion(session.id, true, focusLog),
+        onBreakComplete: () => uiManager.showNotification('Break over. Ready for the next session!', 'info')
+    });
+    document.getElementById('focusPauseBtn').addEventListener('click', () => focusTimer.togglePause());
+    document.getElementById('focusSkipBtn').addEventListener('click', () => focusTimer.skip());
+    document.getElementById('focusExtendBtn').addEventListener('click', () => focusTimer.extend());
+    document.getElementById('focusStopBtn').addEventListener('click', () => focusTimer.stop());
+    
+    // History is saved in the background; say when a version couldn't be kept
+    historyManager.setHandlers({
+        onSaveError: (snapshot) => uiManager.showNotification(
+            `Couldn't save "${snapshot.label}" to the plan history. Storage may be full; your plan itself is saved.`,
+            'warning',
+            6000
+        )
+    });
+    
+    // Replan button
+    document.getElementById('replanBtn').addEventListener('click', () => replanFromToday());
+    document.getElementById('applyReplanBtn').addEventListener('click', applyReplan);
+    document.querySelectorAll('.btn-close-replan').forEach(button => {
+        button.addEventListener('click', () => {
+            pendingReplan = null;
+            uiManager.hideModal('replanModal');
+        });
+    });
+    
+    // Analytics
+    document.getElementById('analyticsBtn').addEventListener('click', showAnalytics);
+    document.getElementById('applyEstimatesBtn').addEventListener('click', applyEstimates);
+    document.querySelectorAll('.btn-close-analytics').forEach(button => {
+        button.addEventListener('click', () => uiManager.hideModal('analyticsModal'));
+    });
     
     // Export button
     document.getElementById('exportBtn').addEventListener('click', showExportModal);
     
+    // History timeline and undo/redo
+    document.getElementById('historyBtn').addEventListener('click', showHistory);
+    document.getElementById('undoBtn').addEventListener('click', undo);
+    document.getElementById('redoBtn').addEventListener('click', redo);
+    document.getElementById('historyTimeline').addEventListener('click', (e) => {
+        const button = e.target.closest('.btn-restore-snapshot');
+        if (button) restoreSnapshot(button.dataset.snapshotId);
+    });
+    document.querySelectorAll('.btn-close-history').forEach(button => {
+        button.addEventListener('click', () => uiManager.hideModal('historyModal'));
+    });
+    
+    // Ctrl+Z / Ctrl+Shift+Z, leaving text fields their own undo
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+        if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+        
+        e.preventDefault();
+        e.shiftKey ? redo() : undo();
+    });
+    
     // Reset button
     document.getElementById('resetBtn').addEventListener('click', resetPlan);
     
+    // Plan switcher
+    document.getElementById('planSelect').addEventListener('change', (e) => switchPlan(e.target.value));
+    document.getElementById('newPlanBtn').addEventListener('click', createPlan);
+    document.getElementById('duplicatePlanBtn').addEventListener('click', duplicatePlan);
+    document.getElementById('renamePlanBtn').addEventListener('click', renamePlan);
+    document.getElementById('archivePlanBtn').addEventListener('click', toggleArchivePlan);
+    
     // Export modal buttons
     document.querySelector('.btn-close-modal')?.addEventListener('click', () => {
         uiManager.hideModal('exportModal');
@@ -91,12 +264,40 @@ function setupEventListeners() {
         uiManager.copyToClipboard(preview);
     });
     
+    // Calendar export options
+    ['icsIncludeBreaks', 'icsAlarmMinutes'].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', () => updateExportPreview('ics'));
+    });
+    
     // Download export button
     document.getElementById('downloadExportBtn')?.addEventListener('click', () => {
         const format = document.querySelector('.export-option.active')?.dataset.format || 'json';
-        const content = scheduler.exportSchedule(format);
-        const filename = `study-plan-${new Date().toISOString().split('T')[0]}.${format}`;
-        uiManager.downloadFile(content, filename);
+        const content = scheduler.exportSchedule(format, getExportOptions());
+        const filename = `study-plan-${dateHelper.getToday()}.${format}`;
+        uiManager.downloadFile(content, filename, format === 'ics' ? 'text/calendar' : 'text/plain');
+    });
+    
+    // Full backup and restore
+    document.getElementById('backupDataBtn')?.addEventListener('click', () => {
+        storageManager.backupToFile();
+    });
+    
+    const restoreInput = document.getElementById('restoreFileInput');
+    document.getElementById('restoreDataBtn')?.addEventListener('click', () => restoreInput.click());
+    restoreInput?.addEventListener('change', async () => {
+        const file = restoreInput.files[0];
+        if (!file) return;
+        
+        const result = storageManager.importData(await file.text());
+        restoreInput.value = '';
+        uiManager.displayImportErrors(result.errors);
+        uiManager.showNotification(result.message, result.success ? 'success' : 'error', result.success ? 3000 : 5000);
+        
+        // Start again from the restored data
+        if (result.success) {
+            await storageManager.flush();
+            setTimeout(() => window.location.reload(), 1000);
+        }
     });
     
     // Close modal on outside click
@@ -137,18 +338,30 @@ async function generatePlan() {
         // Save preferences
         inputManager.savePreferences();
         
-        // Generate the plan
+        // Generate the plan, keeping sessions already done and those placed by hand
+        inputs.pinned = planEditor.getPinnedSessions(currentPlan, true);
         const plan = scheduler.generatePlan(inputs, subjects);
+        const progress = carryOverProgress(plan);
         currentPlan = plan;
         
         // Save to storage
         storageManager.savePlan(plan);
+        historyManager.record('generate', 'Generated plan');
         
         // Display the plan
         displayPlan(plan);
         
         // Show success message
-        uiManager.showNotification('✅ Study plan generated successfully!', 'success');
+        const missedDeadlines = plan.deadlines.filter(deadline => !deadline.fits);
+        if (missedDeadlines.length > 0) {
+            const names = missedDeadlines.map(deadline => deadline.subjectName).join(', ');
+            uiManager.showNotification(`⚠️ Plan generated, but these subjects don't fit before their exams: ${names}`, 'warning', 5000);
+        } else if (progress.carried > 0 || progress.dropped > 0) {
+            const dropped = progress.dropped > 0 ? `, ${progress.dropped} outside the new plan kept in your log` : '';
+            uiManager.showNotification(`✅ Plan generated. ${progress.carried} completed sessions kept${dropped}.`, 'success', 4000);
+        } else {
+            uiManager.showNotification('✅ Study plan generated successfully!', 'success');
+        }
         
     } catch (error) {
         console.error('Error generating plan:', error);
@@ -159,25 +372,89 @@ async function generatePlan() {
     }
 }
 
+// Open the comparison with candidates for the selected setting
+function showWhatIf() {
+    const validation = inputManager.validateInputs();
+    if (!validation.isValid) {
+        uiManager.showNotification(`Please fix errors: ${validation.errors.join(', ')}`, 'error');
+        return;
+    }
+    
+    const select = document.getElementById('whatIfDimension');
+    if (select.options.length === 0) {
+        select.innerHTML = whatIfPlanner.getDimensions()
+            .map(dimension => `<option value="${dimension.key}">${dimension.label}</option>`)
+            .join('');
+    }
+    
+    compareOptions(select.value);
+    uiManager.showModal('whatIfModal');
+}
+
+function compareOptions(dimensionKey) {
+    try {
+        // Candidates keep sessions already done and those placed by hand, like a regenerated plan
+        const inputs = inputManager.collectAllInputs();
+        inputs.pinned = planEditor.getPinnedSessions(currentPlan, true);
+        pendingCandidates = whatIfPlanner.generateCandidates(inputs, dimensionKey);
+        uiManager.displayPlanComparison(pendingCandidates);
+    } catch (error) {
+        console.error('Error comparing plans:', error);
+        uiManager.showNotification('❌ Could not generate the candidate plans.', 'error');
+    }
+}
+
+// Use a candidate as the plan and take over its settings in the form
+function adoptCandidate(candidateId) {
+    const candidate = pendingCandidates.find(c => c.id === candidateId);
+    if (!candidate) return;
+    
+    Object.entries(candidate.overrides).forEach(([id, value]) => {
+        document.getElementById(id).value = value;
+    });
+    inputManager.savePreferences();
+    inputManager.updateStats();
+    
+    carryOverProgress(candidate.plan);
+    currentPlan = candidate.plan;
+    pendingCandidates = [];
+    storageManager.savePlan(currentPlan);
+    historyManager.record('generate', `Adopted plan with ${candidate.label}`);
+    
+    uiManager.hideModal('whatIfModal');
+    displayPlan(currentPlan);
+    uiManager.showNotification(`✅ Adopted the plan with ${candidate.label}`, 'success');
+}
+
+// Move completions from the current plan onto a regenerated one
+function carryOverProgress(plan) {
+    const { carried, dropped } = scheduler.carryOverProgress(currentPlan || storageManager.loadPlan(), plan);
+    storageManager.remapSessionProgress(carried, dropped);
+    return { carried: carried.length, dropped: dropped.length };
+}
+
 function displayPlan(plan) {
     if (!plan || !plan.schedule || plan.schedule.length === 0) {
         uiManager.showNotification('No schedule data to display', 'warning');
         return;
     }
     
-    // Display Day 1 schedule
-    currentDayIndex = 0;
-    const daySchedule = plan.schedule[currentDayIndex];
-    uiManager.displayTimetable(daySchedule.slots, currentDayIndex);
+    // Keep the scheduler in sync with the displayed plan
+    scheduler.schedule = plan.schedule;
     
-    // Update progress bars
-    uiManager.displayProgressBars(plan.allocations);
+    // Open on today when the plan covers it, otherwise on Day 1
+    uiManager.currentPlan = plan;
+    uiManager.renderSlotEditor(plan.allocations);
+    currentDayIndex = getTodayIndex(plan) ?? 0;
+    renderSchedule();
     
-    // Display suggestions
-    uiManager.displaySuggestions(plan.suggestions);
+    // Update progress bars and charts
+    uiManager.displayProgressBars(plan.allocations, plan.schedule);
+    renderDashboard();
     
-    // Update day navigation
-    uiManager.updateDayNavigation(plan.schedule.length, currentDayIndex);
+    // Display suggestions
+    renderSuggestions();
+    uiManager.displaySolverReport(plan.solver);
     
     // Update efficiency score
     if (plan.summary && plan.summary.efficiencyScore !== undefined) {
@@ -189,70 +466,334 @@ function displayPlan(plan) {
         totalDays: plan.schedule.length,
         totalSubjects: plan.allocations.length,
         totalHours: plan.allocations.reduce((sum, subj) => sum + subj.hoursNeeded, 0),
-        completionRate: 0
+        completionRate: progressTracker.getStats(plan).completionRate
     });
     
-    // Add event listeners for completion buttons
-    setTimeout(() => {
-        document.querySelectorAll('.btn-complete').forEach(button => {
-            button.addEventListener('click', (e) => {
-                const sessionId = e.currentTarget.dataset.sessionId;
-                toggleSessionCompletion(sessionId);
-            });
+}
+
+// Burndown, daily hours, subject hours and streaks of the current plan
+function renderDashboard() {
+    const today = dateHelper.getToday();
+    uiManager.displayProgressDashboard(currentPlan ? analyticsEngine.buildDashboard(currentPlan, today) : null);
+}
+
+// Show the plan's suggestions that haven't been dismissed, with the changes they propose
+function renderSuggestions() {
+    const today = dateHelper.getToday();
+    shownSuggestions = currentPlan ? proposalPlanner.prepare(currentPlan, today) : [];
+    uiManager.displaySuggestions(shownSuggestions);
+}
+
+// Make the change a suggestion proposes; it is undone from the history like an edit
+function applySuggestion(suggestion) {
+    if (!currentPlan || !suggestion?.proposal) return;
+    
+    const result = proposalPlanner.apply(currentPlan, suggestion.proposal.change);
+    applyEdit({ ...result, message: result.success ? `Applied: ${result.message}` : result.message }, 'suggestion');
+}
+
+// Hide a suggestion until the plan is generated again
+function dismissSuggestion(suggestion) {
+    if (!currentPlan || !suggestion) return;
+    
+    proposalPlanner.dismiss(currentPlan, suggestion.key);
+    storageManager.savePlan(currentPlan);
+    renderSuggestions();
+}
+
+// Imported calendar events on a plan day, shown greyed in the timetable
+function getBusyBlocks(daySchedule) {
+    return availabilityManager.getCalendarBlocks(currentPlan?.availability, daySchedule.isoDate);
+}
+
+// Draw the plan in the current view around the current day
+function renderSchedule() {
+    if (!currentPlan) return;
+    
+    const schedule = currentPlan.schedule;
+    const today = dateHelper.getToday();
+    
+    if (currentView === 'week') {
+        // Weeks are counted from the first plan day, like the day numbers
+        const start = currentDayIndex - (currentDayIndex % 7);
+        const days = schedule.slice(start, start + 7).map((daySchedule, offset) => ({ daySchedule, index: start + offset }));
+        const busyBlocks = Object.fromEntries(days.map(({ daySchedule, index }) => [index, getBusyBlocks(daySchedule)]));
+        const issues = Object.fromEntries(days.map(({ index }) => [index, planEditor.getSlotIssues(currentPlan, index)]));
+        uiManager.displayWeekView(days, today, busyBlocks, issues);
+        uiManager.updatePeriodNavigation(
+            `Week ${start / 7 + 1}/${Math.ceil(schedule.length / 7)}`,
+            `Days ${start + 1}–${start + days.length}: ${days[0].daySchedule.date} to ${days[days.length - 1].daySchedule.date}`,
+            start > 0,
+            start + 7 < schedule.length
+        );
+        return;
+    }
+    
+    if (currentView === 'month') {
+        const month = schedule[currentDayIndex].isoDate.slice(0, 7);
+        const label = new Date(`${month}-01T00:00`).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+        uiManager.displayMonthView(schedule, month, today);
+        uiManager.updatePeriodNavigation(
+            label,
+            `${label}: click a day to open it`,
+            schedule[0].isoDate.slice(0, 7) < month,
+            schedule[schedule.length - 1].isoDate.slice(0, 7) > month
+        );
+        return;
+    }
+    
+    const daySchedule = schedule[currentDayIndex];
+    uiManager.displayTimetable(daySchedule.slots, currentDayIndex, getBusyBlocks(daySchedule),
+        planEditor.getSlotIssues(currentPlan, currentDayIndex));
+    uiManager.updateDayNavigation(schedule.length, currentDayIndex);
+}
+
+// Drag and drop in the day and week views, and resizing in the week view
+function setupDragAndDrop() {
+    const views = [document.getElementById('timetableSlots'), document.getElementById('weekView')];
+    const clearDropTargets = () => document.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
+    
+    views.forEach(view => {
+        view.addEventListener('dragstart', (e) => {
+            const element = e.target.closest?.('[data-slot-id][draggable="true"]');
+            if (!element) return;
+            
+            const dayIndex = element.dataset.dayIndex !== undefined ? parseInt(element.dataset.dayIndex) : currentDayIndex;
+            draggedSlot = { dayIndex, slotId: element.dataset.slotId, grabOffset: e.clientY - element.getBoundingClientRect().top };
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', element.dataset.slotId);
+            element.classList.add('dragging');
+        });
+        
+        view.addEventListener('dragover', (e) => {
+            if (!draggedSlot) return;
+            const target = e.target.closest('[data-slot-id], [data-drop-day]');
+            if (!target) return;
+            
+            e.preventDefault();
+            clearDropTargets();
+            if (target.dataset.slotId) target.classList.add('drag-over');
+        });
+        
+        view.addEventListener('drop', (e) => {
+            if (!draggedSlot) return;
+            e.preventDefault();
+            dropSlot(e);
         });
-    }, 100);
+        
+        view.addEventListener('dragend', () => {
+            draggedSlot = null;
+            clearDropTargets();
+            document.querySelectorAll('.dragging').forEach(el => el.classList.remove('dragging'));
+        });
+    });
+    
+    document.getElementById('weekView').addEventListener('pointerdown', startResize);
+}
+
+// Dropped on another slot: swap them. Dropped on free space in a week column: move there.
+function dropSlot(e) {
+    const { dayIndex, slotId, grabOffset } = draggedSlot;
+    const targetSlot = e.target.closest('[data-slot-id]');
+    
+    if (targetSlot) {
+        if (targetSlot.dataset.slotId === slotId) return;
+        const targetDay = targetSlot.dataset.dayIndex !== undefined ? parseInt(targetSlot.dataset.dayIndex) : currentDayIndex;
+        applyEdit(planEditor.swapSlots(currentPlan, dayIndex, slotId, targetDay, targetSlot.dataset.slotId));
+        return;
+    }
+    
+    const column = e.target.closest('[data-drop-day]');
+    if (!column) return;
+    
+    const scale = CONFIG.CALENDAR_VIEW.HOUR_HEIGHT / 60;
+    const startMinutes = parseInt(column.dataset.gridStart) + (e.clientY - column.getBoundingClientRect().top - grabOffset) / scale;
+    applyEdit(planEditor.moveSlot(currentPlan, dayIndex, slotId, parseInt(column.dataset.dropDay), startMinutes));
+}
+
+// Drag a week block's bottom edge to change its length
+function startResize(e) {
+    const handle = e.target.closest('.week-resize');
+    if (!handle) return;
+    
+    e.preventDefault();
+    const block = handle.closest('.week-block');
+    block.draggable = false;
+    const startY = e.clientY;
+    const startHeight = block.offsetHeight;
+    const scale = CONFIG.CALENDAR_VIEW.HOUR_HEIGHT / 60;
+    
+    const onMove = (moveEvent) => {
+        block.style.height = `${Math.max(startHeight + moveEvent.clientY - startY, CONFIG.EDITING.MIN_DURATION * scale)}px`;
+    };
+    const onUp = (upEvent) => {
+        document.removeEventListener('pointermove', onMove);
+        document.removeEventListener('pointerup', onUp);
+        
+        const slot = planEditor.findSlot(currentPlan, parseInt(block.dataset.dayIndex), block.dataset.slotId);
+        if (!slot) return;
+        const duration = slot.duration + (upEvent.clientY - startY) / scale;
+        applyEdit(planEditor.resizeSlot(currentPlan, parseInt(block.dataset.dayIndex), slot.id, duration));
+    };
+    document.addEventListener('pointermove', onMove);
+    document.addEventListener('pointerup', onUp);
+}
+
+// Add a session or break to the open day from the form under the timetable
+function addSlot() {
+    if (!currentPlan) {
+        uiManager.showNotification('Please generate a plan first', 'warning');
+        return;
+    }
+    
+    const [hours, minutes] = document.getElementById('slotEditorStart').value.split(':').map(Number);
+    applyEdit(planEditor.addSlot(currentPlan, currentDayIndex, {
+        type: document.getElementById('slotEditorType').value,
+        subjectId: document.getElementById('slotEditorSubject').value,
+        startMinutes: hours * 60 + minutes,
+        duration: parseInt(document.getElementById('slotEditorDuration').value)
+    }));
+}
+
+// Save a manual edit and show the re-validated plan, or say why it wasn't made
+function applyEdit(result, historyType = 'edit') {
+    if (!result.success) {
+        uiManager.showNotification(result.message, 'warning');
+        renderSchedule();
+        return;
+    }
+    
+    storageManager.savePlan(currentPlan);
+    historyManager.record(historyType, result.message);
+    renderSchedule();
+    renderSuggestions();
+    uiManager.displayProgressBars(currentPlan.allocations, currentPlan.schedule);
+    renderDashboard();
+    uiManager.updateEfficiencyScore(currentPlan.summary.efficiencyScore);
+    
+    const issues = currentPlan.validation.violations.length + currentPlan.integrity.findings.length;
+    uiManager.showNotification(`${result.message}${issues > 0 ? ` (${issues} warnings)` : ''}`, issues > 0 ? 'warning' : 'success');
+}
+
+// Move back or forward by a day, week or month, depending on the view
+function stepSchedule(direction) {
+    if (!currentPlan) return;
+    
+    const schedule = currentPlan.schedule;
+    let index = currentDayIndex + direction;
+    if (currentView === 'week') {
+        index = currentDayIndex - (currentDayIndex % 7) + direction * 7;
+    } else if (currentView === 'month') {
+        const month = schedule[currentDayIndex].isoDate.slice(0, 7);
+        index = direction > 0
+            ? schedule.findIndex(day => day.isoDate.slice(0, 7) > month)
+            : schedule.findLastIndex(day => day.isoDate.slice(0, 7) < month);
+    }
+    if (index < 0 || index >= schedule.length) return;
+    
+    currentDayIndex = index;
+    renderSchedule();
+}
+
+function setView(view) {
+    currentView = view;
+    uiManager.setCalendarView(view);
+    renderSchedule();
+}
+
+// Open a day from the week or month view
+function openDay(dayIndex) {
+    if (!currentPlan?.schedule[dayIndex]) return;
+    
+    currentDayIndex = dayIndex;
+    setView('day');
+}
+
+// Index of today's date in a plan, or null when the plan doesn't cover it
+function getTodayIndex(plan) {
+    const today = dateHelper.getToday();
+    const index = plan.schedule.findIndex(day => day.isoDate === today);
+    return index === -1 ? null : index;
 }
 
-function showPreviousDay() {
-    if (!currentPlan || currentDayIndex <= 0) return;
+function jumpToToday() {
+    if (!currentPlan) {
+        uiManager.showNotification('Please generate a plan first', 'warning');
+        return;
+    }
     
-    currentDayIndex--;
-    const daySchedule = currentPlan.schedule[currentDayIndex];
-    uiManager.displayTimetable(daySchedule.slots, currentDayIndex);
-    uiManager.updateDayNavigation(currentPlan.schedule.length, currentDayIndex);
+    const index = getTodayIndex(currentPlan);
+    if (index === null) {
+        const today = dateHelper.getToday();
+        const beforeStart = today < currentPlan.schedule[0].isoDate;
+        currentDayIndex = beforeStart ? 0 : currentPlan.schedule.length - 1;
+        uiManager.showNotification(`Today is ${beforeStart ? 'before this plan starts' : 'after this plan ends'}`, 'info');
+    } else {
+        currentDayIndex = index;
+    }
+    renderSchedule();
 }
 
-function showNextDay() {
-    if (!currentPlan || currentDayIndex >= currentPlan.schedule.length - 1) return;
+async function toggleSessionCompletion(sessionId) {
+    if (!currentPlan) return;
     
-    currentDayIndex++;
-    const daySchedule = currentPlan.schedule[currentDayIndex];
-    uiManager.displayTimetable(daySchedule.slots, currentDayIndex);
-    uiManager.updateDayNavigation(currentPlan.schedule.length, currentDayIndex);
+    const session = currentPlan.schedule.flatMap(day => day.slots).find(s => s.id === sessionId);
+    if (session) {
+        await setSessionCompletion(sessionId, !session.completed);
+    }
 }
 
-function toggleSessionCompletion(sessionId) {
+// Single path for marking a session complete or pending (buttons and focus timer)
+async function setSessionCompletion(sessionId, completed, details = {}) {
     if (!currentPlan) return;
     
-    // Find and toggle session completion
     for (const day of currentPlan.schedule) {
         const session = day.slots.find(s => s.id === sessionId);
         if (session) {
-            session.completed = !session.completed;
-            
-            // Save to storage
-            storageManager.saveSessionCompletion(sessionId, session.completed);
-            
-            // Update subject progress
-            const subject = currentPlan.allocations.find(s => s.id === session.subjectId);
-            if (subject) {
-                if (session.completed) {
-                    subject.hoursCompleted = (subject.hoursCompleted || 0) + (session.duration / 60);
-                } else {
-                    subject.hoursCompleted = Math.max(0, (subject.hoursCompleted || 0) - (session.duration / 60));
+            // Already in this state: only record the focused time
+            if (session.completed === completed) {
+                if (completed && details.actualMinutes !== undefined) {
+                    logSession(session, day, {
+                        actualMinutes: details.actualMinutes,
+                        startTime: toClockTime(details.startedAt),
+                        endTime: toClockTime(details.endedAt),
+                        note: session.note || '',
+                        recallScore: session.recallScore ?? null
+                    });
+                    historyManager.record('completion', `Logged time for ${session.subjectName}`);
+                    renderSchedule();
                 }
+                return;
             }
             
-            // Update UI
-            uiManager.displayTimetable(day.slots, currentDayIndex);
-            uiManager.displayProgressBars(currentPlan.allocations);
+            session.completed = completed;
             
-            // Update completion rate
-            const totalHours = currentPlan.allocations.reduce((sum, s) => sum + s.hoursNeeded, 0);
-            const completedHours = currentPlan.allocations.reduce((sum, s) => sum + (s.hoursCompleted || 0), 0);
-            const completionRate = totalHours > 0 ? Math.round((completedHours / totalHours) * 100) : 0;
+            // Only the days a follow-up review was added to or removed from are saved again
+            let changedDays;
+            if (completed) {
+                // Log actual time and recall, prefilled from the timer or the plan
+                const entry = await uiManager.promptSessionLog(session, {
+                    actualMinutes: details.actualMinutes ?? session.duration,
+                    startTime: details.startedAt ? toClockTime(details.startedAt) : availabilityManager.toTimeString(session.startMinutes),
+                    endTime: details.endedAt ? toClockTime(details.endedAt) : availabilityManager.toTimeString(session.endMinutes)
+                });
+                logSession(session, day, entry);
+                
+                // Spawn or update the follow-up review
+                changedDays = scheduleFollowUpReview(session, entry.recallScore);
+            } else {
+                storageManager.saveSessionCompletion(sessionId, false);
+                changedDays = undoFollowUpReview(session);
+                progressTracker.replay(currentPlan, storageManager.loadProgress());
+            }
+            if (changedDays.length > 0) storageManager.savePlanDays(currentPlan, changedDays);
+            historyManager.record('completion', `${session.completed ? 'Completed' : 'Reopened'} ${session.subjectName}`);
             
-            document.getElementById('completionRate').textContent = `${completionRate}%`;
+            // Update UI
+            renderSchedule();
+            uiManager.displayProgressBars(currentPlan.allocations, currentPlan.schedule);
+            renderDashboard();
+            uiManager.updateDashboardStats({ completionRate: progressTracker.getStats(currentPlan).completionRate });
             
             uiManager.showNotification(
                 session.completed ? 'Session marked as complete!' : 'Session marked as pending',
@@ -264,6 +805,127 @@ function toggleSessionCompletion(sessionId) {
     }
 }
 
+// Record a completed session's actual time, note and recall in the progress log,
+// then replay the log onto the plan
+function logSession(session, day, entry) {
+    storageManager.saveSessionCompletion(session.id, true, {
+        subjectId: session.subjectId,
+        day: day.day,
+        isoDate: day.isoDate,
+        plannedMinutes: session.duration,
+        actualMinutes: entry.actualMinutes,
+        startTime: entry.startTime,
+        endTime: entry.endTime,
+        note: entry.note,
+        recallScore: entry.recallScore
+    });
+    progressTracker.replay(currentPlan, storageManager.loadProgress());
+}
+
+// Format a timestamp as HH:MM
+function toClockTime(timestamp) {
+    const date = new Date(timestamp);
+    return availabilityManager.toTimeString(date.getHours() * 60 + date.getMinutes());
+}
+
+function startFocusTimer(sessionId) {
+    if (!currentPlan) return;
+    
+    for (const day of currentPlan.schedule) {
+        const index = day.slots.findIndex(s => s.id === sessionId);
+        if (index === -1) continue;
+        
+        // The break right after the session runs automatically
+        const nextSlot = day.slots[index + 1];
+        focusTimer.start(day.slots[index], nextSlot?.type === 'break' ? nextSlot : null);
+        uiManager.showNotification(`Focus timer started for ${day.slots[index].subjectName}`, 'info');
+        return;
+    }
+}
+
+function scheduleFollowUpReview(session, recallScore) {
+    const today = dateHelper.getToday();
+    const item = session.reviewId
+        ? revisionEngine.recordReview(session.reviewId, recallScore, today)
+        : revisionEngine.recordStudy(session, recallScore, today);
+    if (!item) return [];
+    
+    const changedDays = scheduler.removePendingReviews(currentPlan, item.id);
+    const slot = scheduler.scheduleReview(currentPlan, item);
+    if (slot) {
+        changedDays.push(slot.day - 1);
+        uiManager.showNotification(`Next review of ${item.subjectName} on Day ${slot.day} at ${slot.startTime}`, 'info');
+    }
+    return changedDays;
+}
+
+function undoFollowUpReview(session) {
+    const reviewId = session.reviewId || `review_${session.id}`;
+    const changedDays = scheduler.removePendingReviews(currentPlan, reviewId, session.id);
+    revisionEngine.undoReview(reviewId);
+    return changedDays;
+}
+
+function replanFromToday(basePlan = currentPlan) {
+    if (!currentPlan) {
+        uiManager.showNotification('Please generate a plan first', 'warning');
+        return;
+    }
+    
+    const today = dateHelper.getToday();
+    const fromDayIndex = currentPlan.schedule.findIndex(day => day.isoDate >= today);
+    if (fromDayIndex === -1) {
+        uiManager.showNotification('This plan has already ended. Generate a new plan instead.', 'warning');
+        return;
+    }
+    
+    const inputs = inputManager.collectAllInputs();
+    const { plan, diff } = scheduler.replanFromDay(basePlan, inputs, fromDayIndex);
+    scheduler.schedule = currentPlan.schedule;
+    pendingReplan = plan;
+    
+    uiManager.showReplanDiff(diff);
+}
+
+function applyReplan() {
+    if (!pendingReplan) return;
+    
+    currentPlan = pendingReplan;
+    pendingReplan = null;
+    storageManager.savePlan(currentPlan);
+    historyManager.record('replan', 'Replanned from today');
+    
+    uiManager.hideModal('replanModal');
+    displayPlan(currentPlan);
+    uiManager.showNotification('Plan updated from today', 'success');
+}
+
+function showAnalytics() {
+    if (!currentPlan) {
+        uiManager.showNotification('Please generate a plan first', 'warning');
+        return;
+    }
+    
+    uiManager.displayAnalytics(analyticsEngine.buildReport(currentPlan));
+    uiManager.showModal('analyticsModal');
+}
+
+// Replan the remaining days with the corrected hour estimates
+function applyEstimates() {
+    if (!currentPlan) return;
+    
+    const { estimates } = analyticsEngine.buildReport(currentPlan);
+    if (estimates.length === 0) return;
+    
+    const allocations = currentPlan.allocations.map(subject => {
+        const estimate = estimates.find(e => e.subjectId === subject.id);
+        return estimate ? { ...subject, hoursNeeded: estimate.plannedDoneHours + estimate.remainingAfter } : subject;
+    });
+    
+    uiManager.hideModal('analyticsModal');
+    replanFromToday({ ...currentPlan, allocations });
+}
+
 function showExportModal() {
     if (!currentPlan) {
         uiManager.showNotification('Please generate a plan first', 'warning');
@@ -272,13 +934,15 @@ function showExportModal() {
     
     uiManager.showModal('exportModal');
     updateExportPreview('json');
+    storageManager.getStorageUsage().then(usage => uiManager.displayStorageUsage(usage));
 }
 
 function updateExportPreview(format) {
     if (!currentPlan) return;
     
-    const content = scheduler.exportSchedule(format);
+    const content = scheduler.exportSchedule(format, getExportOptions());
     uiManager.showExportPreview(content, format);
+    document.getElementById('icsOptions').style.display = format === 'ics' ? 'flex' : 'none';
     
     // Update active button
     document.querySelectorAll('.export-option').forEach(option => {
@@ -289,18 +953,20 @@ function updateExportPreview(format) {
     });
 }
 
+function getExportOptions() {
+    return {
+        includeBreaks: document.getElementById('icsIncludeBreaks')?.checked || false,
+        alarmMinutes: parseInt(document.getElementById('icsAlarmMinutes')?.value || '0')
+    };
+}
+
 function resetPlan() {
-    if (confirm('Are you sure you want to reset the entire plan? This will clear all your progress.')) {
+    const planName = storageManager.getPlanEntry(currentPlanId)?.name || 'this plan';
+    if (confirm(`Are you sure you want to reset "${planName}"? This will clear all its progress. Your other plans are kept.`)) {
         storageManager.clearAllData();
-        currentPlan = null;
-        currentDayIndex = 0;
-        
-        // Clear UI
-        uiManager.displayTimetable([]);
-        uiManager.displayProgressBars([]);
-        uiManager.displaySuggestions([]);
-        uiManager.updateDayNavigation(0, 0);
-        uiManager.updateEfficiencyScore('--');
+        historyManager.record('reset', 'Reset plan');
+        revisionEngine.loadReviews();
+        clearPlanDisplay();
         
         // Reset form
         inputManager.subjects = [];
@@ -310,10 +976,163 @@ function resetPlan() {
     }
 }
 
+// Empty the timetable, progress and suggestions
+function clearPlanDisplay() {
+    currentPlan = null;
+    currentDayIndex = 0;
+    pendingReplan = null;
+    
+    setView('day');
+    uiManager.currentPlan = null;
+    uiManager.displayTimetable([]);
+    uiManager.displayProgressBars([]);
+    renderDashboard();
+    renderSuggestions();
+    uiManager.displaySolverReport(null);
+    uiManager.updateDayNavigation(0, 0);
+    uiManager.updateEfficiencyScore('--');
+}
+
+function renderPlanSwitcher() {
+    uiManager.renderPlanSwitcher(storageManager.getPlans(), currentPlanId);
+}
+
+// Load another plan with its own subjects, preferences and progress
+async function switchPlan(planId) {
+    if (planId === currentPlanId) return;
+    
+    focusTimer.stop();
+    if (!(await storageManager.switchPlan(planId))) {
+        uiManager.showNotification('That plan no longer exists', 'error');
+        renderPlanSwitcher();
+        return;
+    }
+    currentPlanId = planId;
+    
+    historyManager.load();
+    reloadActivePlan();
+    renderPlanSwitcher();
+}
+
+// Redraw everything from the stored documents of the active plan
+function reloadActivePlan() {
+    clearPlanDisplay();
+    inputManager.initialize();
+    inputManager.updateStats();
+    revisionEngine.loadReviews();
+    loadSavedPlan();
+}
+
+function showHistory() {
+    renderHistory();
+    uiManager.showModal('historyModal');
+}
+
+function renderHistory() {
+    uiManager.displayHistory(historyManager.getTimeline(), {
+        canUndo: historyManager.canUndo(),
+        canRedo: historyManager.canRedo()
+    });
+}
+
+function undo() {
+    focusTimer.stop();
+    const label = historyManager.undo();
+    if (!label) {
+        uiManager.showNotification('Nothing to undo', 'info');
+        return;
+    }
+    
+    reloadActivePlan();
+    renderHistory();
+    uiManager.showNotification(`Undid: ${label}`, 'info');
+}
+
+function redo() {
+    focusTimer.stop();
+    const label = historyManager.redo();
+    if (!label) {
+        uiManager.showNotification('Nothing to redo', 'info');
+        return;
+    }
+    
+    reloadActivePlan();
+    renderHistory();
+    uiManager.showNotification(`Redid: ${label}`, 'info');
+}
+
+// Bring back an earlier version of the plan from the timeline
+function restoreSnapshot(snapshotId) {
+    const snapshot = historyManager.getTimeline().find(entry => entry.id === snapshotId);
+    if (!snapshot || !confirm(`Restore the plan as it was after "${snapshot.label}"? You can undo this.`)) return;
+    
+    focusTimer.stop();
+    historyManager.restore(snapshotId);
+    reloadActivePlan();
+    renderHistory();
+    uiManager.showNotification(`Restored "${snapshot.label}"`, 'success');
+}
+
+// Ask for a plan name, suggesting a default
+function promptPlanName(message, defaultName) {
+    const name = prompt(message, defaultName);
+    return name && name.trim() ? name.trim() : null;
+}
+
+async function createPlan() {
+    const name = promptPlanName('Name the new plan (e.g. Midterms, Finals, Summer course):', 'New plan');
+    if (!name) return;
+    
+    const entry = await storageManager.createPlan(name);
+    await switchPlan(entry.id);
+    uiManager.showNotification(`Created plan "${name}"`, 'success');
+}
+
+async function duplicatePlan() {
+    const source = storageManager.getPlanEntry(currentPlanId);
+    const name = promptPlanName('Name the copy:', `${source.name} (copy)`);
+    if (!name) return;
+    
+    const entry = await storageManager.duplicatePlan(currentPlanId, name);
+    await switchPlan(entry.id);
+    uiManager.showNotification(`Duplicated "${source.name}" as "${name}"`, 'success');
+}
+
+function renamePlan() {
+    const entry = storageManager.getPlanEntry(currentPlanId);
+    const name = promptPlanName('Rename plan:', entry.name);
+    if (!name) return;
+    
+    storageManager.renamePlan(currentPlanId, name);
+    renderPlanSwitcher();
+}
+
+// Archive the current plan and move to another one, or restore an archived plan
+async function toggleArchivePlan() {
+    const entry = storageManager.getPlanEntry(currentPlanId);
+    if (entry.archived) {
+        storageManager.setPlanArchived(currentPlanId, false);
+        renderPlanSwitcher();
+        uiManager.showNotification(`Restored "${entry.name}"`, 'success');
+        return;
+    }
+    
+    const next = storageManager.getPlans().find(plan => !plan.archived && plan.id !== currentPlanId);
+    if (!next) {
+        uiManager.showNotification('Create another plan before archiving your only one', 'warning');
+        return;
+    }
+    
+    storageManager.setPlanArchived(currentPlanId, true);
+    await switchPlan(next.id);
+    uiManager.showNotification(`Archived "${entry.name}"`, 'info');
+}
+
 // Make functions available globally for debugging
 window.app = {
     inputManager,
     rulesEngine,
+    revisionEngine,
     scheduler,
     storageManager,
     uiManager,
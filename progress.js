@@ -0,0 +1,83 @@
+import CONFIG from './config.js';
+
+// Completion state, replayed from the progress events
+
+// Slot fields filled from a session's log entry
+const LOGGED_FIELDS = {
+    actualMinutes: 'actualMinutes',
+    actualStart: 'startTime',
+    actualEnd: 'endTime',
+    note: 'note',
+    recallScore: 'recallScore'
+};
+
+class ProgressTracker {
+    // Replay the completion events (`completedSessions[id]` and `sessionLog[id]`) onto a plan's
+    // slots and subject hours; saved completion fields are never trusted
+    replay(plan, progress) {
+        if (!plan?.schedule) return plan;
+        
+        const completedSessions = progress?.completedSessions || {};
+        const sessionLog = progress?.sessionLog || {};
+        
+        plan.schedule.forEach(daySchedule => {
+            daySchedule.slots
+                .filter(slot => this.isSession(slot))
+                .forEach(slot => {
+                    slot.completed = Boolean(completedSessions[slot.id]);
+                    const log = sessionLog[slot.id];
+                    
+                    // Entries logged before recall scores were kept leave the slot's own value
+                    Object.entries(LOGGED_FIELDS).forEach(([field, logField]) => {
+                        if (!slot.completed) {
+                            delete slot[field];
+                        } else if (log?.[logField] !== undefined && log[logField] !== null) {
+                            slot[field] = log[logField];
+                        }
+                    });
+                });
+        });
+        
+        this.updateSubjectHours(plan);
+        return plan;
+    }
+
+    // Completed hours per subject: actual time where logged, planned time otherwise
+    updateSubjectHours(plan) {
+        const sessions = plan.schedule.flatMap(daySchedule => daySchedule.slots);
+        plan.allocations.forEach(subject => {
+            const minutes = sessions
+                .filter(slot => slot.completed && slot.subjectId === subject.id)
+                .reduce((sum, slot) => sum + (slot.actualMinutes ?? slot.duration), 0);
+            subject.hoursCompleted = parseFloat((minutes / 60).toFixed(2));
+        });
+    }
+
+    // Session counts and hours for a replayed plan
+    getStats(plan) {
+        const sessions = (plan?.schedule || [])
+            .flatMap(daySchedule => daySchedule.slots)
+            .filter(slot => this.isSession(slot));
+        const completed = sessions.filter(slot => slot.completed).length;
+        const hoursNeeded = (plan?.allocations || []).reduce((sum, subject) => sum + subject.hoursNeeded, 0);
+        const hoursCompleted = (plan?.allocations || []).reduce((sum, subject) => sum + (subject.hoursCompleted || 0), 0);
+        
+        return {
+            total: sessions.length,
+            completed,
+            percentage: sessions.length > 0 ? Math.round((completed / sessions.length) * 100) : 0,
+            hoursNeeded,
+            hoursCompleted: parseFloat(hoursCompleted.toFixed(2)),
+            completionRate: hoursNeeded > 0 ? Math.min(100, Math.round((hoursCompleted / hoursNeeded) * 100)) : 0
+        };
+    }
+
+    // Study and revision slots can be completed; breaks can't
+    isSession(slot) {
+        return slot.type === CONFIG.SESSION_TYPES.STUDY || slot.type === CONFIG.SESSION_TYPES.REVISION;
+    }
+}
+
+// Create and export singleton instance
+const progressTracker = new ProgressTracker();
+export default progressTracker;
\ No newline at end of file
@@ -0,0 +1,287 @@
+import CONFIG from './config.js';
+import availabilityManager from './availability.js';
+import breakPlanner from './breaks.js';
+import planEditor from './editor.js';
+import revisionEngine from './revision.js';
+import rulesEngine from './rules.js';
+import scheduler from './sheduler.js';
+import storageManager from './storage.js';
+
+// Concrete plan changes for suggestions, made through the plan editor
+
+class ProposalPlanner {
+    // Suggestions still to show, each with its dismiss key and proposal (or null)
+    prepare(plan, today) {
+        const dismissed = new Set(plan?.dismissedSuggestions || []);
+        return (plan?.suggestions || [])
+            .map(suggestion => ({ ...suggestion, key: this.getKey(suggestion) }))
+            .filter(suggestion => !dismissed.has(suggestion.key))
+            .map(suggestion => ({ ...suggestion, proposal: this.propose(plan, suggestion, today) }));
+    }
+
+    // Key a suggestion is dismissed by; the same advice about different slots is kept apart
+    getKey(suggestion) {
+        const { type, day, slotId } = suggestion.target || {};
+        return [suggestion.message, type, day, slotId].filter(part => part !== undefined).join('|');
+    }
+
+    // Hide a suggestion until the plan is generated again
+    dismiss(plan, key) {
+        plan.dismissedSuggestions = [...new Set([...(plan.dismissedSuggestions || []), key])];
+    }
+
+    // A concrete change ({ label, change }) for a suggestion's target, or null when only the user can decide
+    propose(plan, suggestion, today) {
+        if (suggestion.action === 'increase_breaks') return this.proposeLongerBreaks(plan, today);
+        
+        const target = suggestion.target;
+        if (!target || plan.schedule[target.day]?.isoDate < today) return null;
+        const slot = target.slotId ? planEditor.findSlot(plan, target.day, target.slotId) : null;
+        
+        switch(target.type) {
+            case 'slot_overlap':
+            case 'out_of_window':
+            case 'outside_day':
+            case 'wind_down':
+            case 'rest_day':
+                return this.proposeMove(plan, target.day, slot, today);
+            
+            case 'time_preference':
+                return this.proposeMove(plan, target.day, slot, today, { range: this.getPreferredRange(plan, slot), sameDayOnly: true });
+            
+            case 'focus_limit':
+                return this.proposeMove(plan, target.day, this.getLastSession(plan, target.day), today, { otherDaysOnly: true });
+            
+            case 'consecutive_sessions':
+                return this.proposeSwap(plan, target.day, slot);
+            
+            case 'coverage_excess':
+                return this.proposeRemoval(plan, target.subjectId, today);
+            
+            case 'revision_needed':
+                return this.proposeRevision(plan, target.reviewId);
+            
+            case 'duplicate_id':
+                return slot ? {
+                    label: `Give ${slot.subjectName} at ${slot.startTime} an id of its own`,
+                    change: { kind: 'renumber', dayIndex: target.day, slotId: slot.id }
+                } : null;
+            
+            case 'out_of_order':
+                return { label: `Put Day ${target.day + 1} in time order`, change: { kind: 'sort', dayIndex: target.day } };
+        }
+        
+        return null;
+    }
+
+    // Apply a proposed change; the editor pins what it moves and validates the plan again.
+    // Returns { success, message } like the plan editor
+    apply(plan, change) {
+        switch(change.kind) {
+            case 'move':
+                return planEditor.moveSlot(plan, change.dayIndex, change.slotId, change.toDayIndex, change.startMinutes);
+            
+            case 'swap':
+                return planEditor.swapSlots(plan, change.dayIndex, change.slotId, change.dayIndex, change.otherSlotId);
+            
+            case 'remove':
+                return planEditor.removeSlot(plan, change.dayIndex, change.slotId);
+            
+            case 'renumber': {
+                const slot = planEditor.findSlot(plan, change.dayIndex, change.slotId);
+                if (!slot) return { success: false, message: 'Session not found' };
+                
+                planEditor.assignId(slot, plan.schedule[change.dayIndex], change.dayIndex);
+                planEditor.finishEdit(plan);
+                return { success: true, message: `${slot.subjectName} at ${slot.startTime} has its own id` };
+            }
+            
+            case 'sort':
+                planEditor.finishEdit(plan);
+                return { success: true, message: `Day ${change.dayIndex + 1} is in time order` };
+            
+            case 'add_revision': {
+                const item = revisionEngine.getReviews().find(review => review.id === change.reviewId);
+                const slot = item ? scheduler.scheduleReview(plan, item) : null;
+                if (!slot) return { success: false, message: 'No free time left for the review' };
+                
+                planEditor.finishEdit(plan);
+                return { success: true, message: `Added a ${slot.subjectName} review on Day ${slot.day} at ${slot.startTime}` };
+            }
+            
+            case 'lengthen_breaks': {
+                const slots = change.breaks
+                    .map(({ dayIndex, slotId }) => planEditor.findSlot(plan, dayIndex, slotId))
+                    .filter(slot => slot && !slot.completed);
+                if (slots.length === 0) return { success: false, message: 'Those breaks are no longer in the plan' };
+                
+                slots.forEach(slot => planEditor.setTimes(slot, slot.startMinutes, slot.duration + change.minutes));
+                planEditor.finishEdit(plan);
+                return { success: true, message: `Lengthened ${slots.length} break${slots.length === 1 ? '' : 's'} by ${change.minutes} min` };
+            }
+        }
+        
+        return { success: false, message: 'Unknown change' };
+    }
+
+    // Move a slot to the first free time that fits it: the same day first,
+    // then the following days, then earlier days from today on
+    proposeMove(plan, dayIndex, slot, today, { range = [0, 24 * 60], sameDayOnly = false, otherDaysOnly = false } = {}) {
+        if (!slot || slot.completed) return null;
+        
+        const later = plan.schedule.map((day, index) => index).filter(index => index > dayIndex);
+        const earlier = plan.schedule.map((day, index) => index).filter(index => index < dayIndex).reverse();
+        const candidates = sameDayOnly ? [dayIndex] : [...(otherDaysOnly ? [] : [dayIndex]), ...later, ...earlier];
+        
+        for (const toDayIndex of candidates) {
+            if (plan.schedule[toDayIndex].isoDate < today) continue;
+            
+            const start = this.findFreeStart(plan, toDayIndex, slot, range);
+            if (start === null || (toDayIndex === dayIndex && start === slot.startMinutes)) continue;
+            
+            const when = toDayIndex === dayIndex ? scheduler.formatTime(start) : `Day ${toDayIndex + 1} at ${scheduler.formatTime(start)}`;
+            return {
+                label: `Move ${slot.subjectName} to ${when}`,
+                change: { kind: 'move', dayIndex, slotId: slot.id, toDayIndex, startMinutes: start }
+            };
+        }
+        
+        return null;
+    }
+
+    // Swap a repeated session with the next session of another subject that day
+    proposeSwap(plan, dayIndex, slot) {
+        if (!slot || slot.completed) return null;
+        
+        const slots = plan.schedule[dayIndex].slots;
+        const other = slots.slice(slots.indexOf(slot) + 1).find(candidate =>
+            candidate.type !== CONFIG.SESSION_TYPES.BREAK &&
+            candidate.subjectId !== slot.subjectId &&
+            !candidate.completed &&
+            this.isFree(plan, dayIndex, candidate.startMinutes, candidate.startMinutes + slot.duration, [slot, candidate]) &&
+            this.isFree(plan, dayIndex, slot.startMinutes, slot.startMinutes + candidate.duration, [slot, candidate])
+        );
+        if (!other) return null;
+        
+        return {
+            label: `Swap ${slot.subjectName} at ${slot.startTime} with ${other.subjectName} at ${other.startTime}`,
+            change: { kind: 'swap', dayIndex, slotId: slot.id, otherSlotId: other.id }
+        };
+    }
+
+    // Remove the last session still to come of a subject planned beyond its hours
+    proposeRemoval(plan, subjectId, today) {
+        for (let dayIndex = plan.schedule.length - 1; dayIndex >= 0 && plan.schedule[dayIndex].isoDate >= today; dayIndex--) {
+            const slot = [...plan.schedule[dayIndex].slots].reverse().find(candidate =>
+                candidate.type === CONFIG.SESSION_TYPES.STUDY && candidate.subjectId === subjectId && !candidate.completed
+            );
+            if (slot) {
+                return {
+                    label: `Remove ${slot.subjectName} on Day ${dayIndex + 1} at ${slot.startTime}`,
+                    change: { kind: 'remove', dayIndex, slotId: slot.id }
+                };
+            }
+        }
+        
+        return null;
+    }
+
+    // Insert a missing review where the scheduler would put it, if anywhere
+    proposeRevision(plan, reviewId) {
+        const item = revisionEngine.getReviews().find(review => review.id === reviewId);
+        if (!item) return null;
+        
+        const place = scheduler.findReviewPlace(plan, item);
+        if (!place) return null;
+        
+        return {
+            label: `Add a ${item.subjectName} review on Day ${place.dayIndex + 1} at ${scheduler.formatTime(place.startMinutes)}`,
+            change: { kind: 'add_revision', reviewId }
+        };
+    }
+
+    // Lengthen breaks, from today on, that have free time straight after them
+    proposeLongerBreaks(plan, today) {
+        const minutes = CONFIG.PROPOSALS.BREAK_EXTENSION;
+        const breaks = [];
+        plan.schedule.forEach((daySchedule, dayIndex) => {
+            if (daySchedule.isoDate < today) return;
+            
+            daySchedule.slots
+                .filter(slot => slot.type === CONFIG.SESSION_TYPES.BREAK && !slot.completed)
+                .filter(slot => this.isFree(plan, dayIndex, slot.endMinutes, slot.endMinutes + minutes, [slot]))
+                .forEach(slot => breaks.push({ dayIndex, slotId: slot.id }));
+        });
+        if (breaks.length === 0) return null;
+        
+        const days = new Set(breaks.map(({ dayIndex }) => dayIndex)).size;
+        return {
+            label: `Lengthen ${breaks.length} break${breaks.length === 1 ? '' : 's'} by ${minutes} min on ${days} day${days === 1 ? '' : 's'}`,
+            change: { kind: 'lengthen_breaks', breaks, minutes }
+        };
+    }
+
+    // First start, on the editing grid, where a slot fits a day's free time within a range
+    findFreeStart(plan, dayIndex, slot, [from, to]) {
+        const daySchedule = plan.schedule[dayIndex];
+        const wellbeing = breakPlanner.getSettings(plan.wellbeing);
+        
+        // Another day only takes a session while it stays under the focus limit
+        const isSession = slot.type !== CONFIG.SESSION_TYPES.BREAK;
+        const movingDay = !daySchedule.slots.includes(slot);
+        if (isSession && movingDay && (daySchedule.totalStudyHours || 0) * 60 + slot.duration > wellbeing.maxFocusHours * 60) {
+            return null;
+        }
+        
+        const snap = CONFIG.EDITING.SNAP_MINUTES;
+        const gaps = availabilityManager.subtractBlocks(this.getWindows(plan, daySchedule, wellbeing), this.getOccupied(daySchedule, [slot]));
+        for (const [start, end] of gaps) {
+            const first = Math.ceil(Math.max(start, from) / snap) * snap;
+            if (first + slot.duration <= Math.min(end, to)) return first;
+        }
+        return null;
+    }
+
+    // Whether a stretch of a day is free, leaving out some of its slots
+    isFree(plan, dayIndex, start, end, ignore = []) {
+        const daySchedule = plan.schedule[dayIndex];
+        const windows = this.getWindows(plan, daySchedule, breakPlanner.getSettings(plan.wellbeing));
+        const inWindow = windows.some(([windowStart, windowEnd]) => start >= windowStart && end <= windowEnd);
+        return inWindow && this.getOccupied(daySchedule, ignore).every(([busyStart, busyEnd]) => end <= busyStart || start >= busyEnd);
+    }
+
+    // Free windows of a day after availability and wellbeing settings
+    getWindows(plan, daySchedule, wellbeing) {
+        return breakPlanner.limitWindows(
+            availabilityManager.getFreeWindows(plan.availability, daySchedule.isoDate),
+            wellbeing,
+            daySchedule.isoDate
+        );
+    }
+
+    // Times taken by a day's slots, leaving out some of them
+    getOccupied(daySchedule, ignore) {
+        return daySchedule.slots
+            .filter(slot => !ignore.includes(slot))
+            .map(slot => [slot.startMinutes, slot.endMinutes]);
+    }
+
+    // Preferred window of a slot's subject, in minutes
+    getPreferredRange(plan, slot) {
+        const subject = plan.allocations.find(candidate => candidate.id === slot?.subjectId);
+        const chronotype = storageManager.loadPreferences()?.preferences?.chronotype || 'balanced';
+        const preferred = subject ? rulesEngine.getPreferredTimeSlots(subject, { chronotype }) : [];
+        return preferred.length === 2 ? [preferred[0] * 60, preferred[1] * 60] : [0, 24 * 60];
+    }
+
+    // The day's last session that can still be moved
+    getLastSession(plan, dayIndex) {
+        return [...plan.schedule[dayIndex].slots].reverse().find(slot =>
+            slot.type !== CONFIG.SESSION_TYPES.BREAK && !slot.completed
+        ) || null;
+    }
+}
+
+// Create and export singleton instance
+const proposalPlanner = new ProposalPlanner();
+export default proposalPlanner;
\ No newline at end of file
@@ -0,0 +1,127 @@
+import CONFIG from './config.js';
+import dateHelper from './dates.js';
+import storageManager from './storage.js';
+
+class RevisionEngine {
+    constructor() {
+        this.reviews = {};
+    }
+
+    // Load review items from storage (once it is ready)
+    loadReviews() {
+        this.reviews = storageManager.loadReviews();
+    }
+
+    // Persist review items
+    saveReviews() {
+        storageManager.saveReviews(this.reviews);
+    }
+
+    // Get all review items
+    getReviews() {
+        return Object.values(this.reviews);
+    }
+
+    // Get reviews due on or before a date, most overdue first
+    getDueReviews(isoDate, excludeIds = new Set()) {
+        return this.getReviews()
+            .filter(item => item.dueDate <= isoDate && !excludeIds.has(item.id))
+            .sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+    }
+
+    // Start a review item for a completed study session
+    recordStudy(session, recallScore, isoDate) {
+        const item = {
+            id: `review_${session.id}`,
+            sourceSessionId: session.id,
+            subjectId: session.subjectId,
+            subjectName: session.subjectName,
+            priority: session.priority,
+            difficulty: session.difficulty,
+            topicId: session.topicId || null,
+            topicName: session.topicName || null,
+            repetition: 0,
+            easeFactor: CONFIG.SPACED_REPETITION.DEFAULT_EASE,
+            interval: 0,
+            dueDate: isoDate,
+            history: []
+        };
+        
+        this.applyRecall(item, recallScore, isoDate);
+        this.reviews[item.id] = item;
+        this.saveReviews();
+        return item;
+    }
+
+    // Update a review item after one of its revision sessions is completed
+    recordReview(reviewId, recallScore, isoDate) {
+        const item = this.reviews[reviewId];
+        if (!item) return null;
+        
+        this.applyRecall(item, recallScore, isoDate);
+        this.saveReviews();
+        return item;
+    }
+
+    // Revert the last recorded recall of a review item
+    undoReview(reviewId) {
+        const item = this.reviews[reviewId];
+        if (!item) return null;
+        
+        const last = item.history.pop();
+        if (!last) return item;
+        
+        Object.assign(item, last.previous);
+        if (item.history.length === 0) {
+            delete this.reviews[reviewId];
+            this.saveReviews();
+            return null;
+        }
+        
+        this.saveReviews();
+        return item;
+    }
+
+    // SM-2 style update: grow the interval on good recall, reset on poor recall
+    applyRecall(item, recallScore, isoDate) {
+        const rules = CONFIG.SPACED_REPETITION;
+        const score = Math.max(0, Math.min(5, recallScore ?? rules.DEFAULT_RECALL));
+        
+        item.history.push({
+            date: isoDate,
+            score,
+            previous: {
+                repetition: item.repetition,
+                easeFactor: item.easeFactor,
+                interval: item.interval,
+                dueDate: item.dueDate
+            }
+        });
+        
+        if (score < rules.PASSING_RECALL) {
+            item.repetition = 0;
+            item.interval = rules.BASE_INTERVALS[0];
+        } else {
+            item.repetition++;
+            const baseInterval = rules.BASE_INTERVALS[item.repetition - 1];
+            item.interval = baseInterval !== undefined
+                ? Math.max(1, Math.round(baseInterval * item.easeFactor / rules.DEFAULT_EASE))
+                : Math.round(item.interval * item.easeFactor);
+        }
+        
+        const easeChange = 0.1 - (5 - score) * (0.08 + (5 - score) * 0.02);
+        item.easeFactor = parseFloat(Math.max(rules.MIN_EASE, item.easeFactor + easeChange).toFixed(2));
+        item.lastScore = score;
+        item.dueDate = dateHelper.addDays(isoDate, item.interval);
+    }
+
+    // Remove all review items
+    clearReviews() {
+        this.reviews = {};
+        this.saveReviews();
+    }
+}
+
+// Create and export singleton instance
+const revisionEngine = new RevisionEngine();
+export default revisionEngine;
\ No newline at end of file
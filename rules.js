@@ -1,4 +1,8 @@
 import CONFIG from './config.js';
+import breakPlanner from './breaks.js';
+import dateHelper from './dates.js';
+
+// Scheduling rules and schedule validation
 
 class RulesEngine {
     constructor() {
@@ -6,9 +10,10 @@ class RulesEngine {
         this.initializeRules();
     }
 
-    // Initialize all scheduling rules
+    // Initialize all built-in scheduling rules
     initializeRules() {
-        this.rules = [
+        this.rules = [];
+        [
             // Priority-based allocation rule
             {
                 name: 'priority_allocation',
@@ -38,7 +43,7 @@ class RulesEngine {
                     }
                     
                     return { 
-                        adaptedSessionLength: sessionLength,
+                        sessionLength,
                         breakMultiplier 
                     };
                 }
@@ -55,15 +60,15 @@ class RulesEngine {
                     
                     // Hard or high priority subjects in morning peak hours
                     if (difficulty === 'hard' || priority === 'high') {
-                        preferredTimeSlots = CONFIG.TIME_PREFERENCES.MORNING_PEAK;
+                        preferredTimeSlots = this.getPeakWindow('MORNING_PEAK', context.chronotype);
                     }
                     // Medium difficulty/priority in afternoon
                     else if (difficulty === 'medium' || priority === 'medium') {
-                        preferredTimeSlots = [13, 17]; // 1 PM - 5 PM
+                        preferredTimeSlots = this.getPeakWindow('MIDDAY_PEAK', context.chronotype);
                     }
                     // Easy or low priority in evening
                     else {
-                        preferredTimeSlots = [18, 20]; // 6 PM - 8 PM
+                        preferredTimeSlots = this.getPeakWindow('EVENING_PEAK', context.chronotype);
                     }
                     
                     return { preferredTimeSlots };
@@ -88,8 +93,10 @@ class RulesEngine {
             {
                 name: 'revision_scheduling',
                 apply: (subject, context) => {
-                    const daysSinceLastStudy = context.daysSinceLastStudy[subject.id] || 0;
-                    const needsRevision = daysSinceLastStudy >= CONFIG.SCHEDULING_RULES.REVISION_FREQUENCY;
+                    const today = context.today || dateHelper.getToday();
+                    const needsRevision = (context.reviews || []).some(item =>
+                        item.subjectId === subject.id && item.dueDate <= today
+                    );
                     
                     return {
                         needsRevision,
@@ -97,7 +104,97 @@ class RulesEngine {
                     };
                 }
             }
-        ];
+        ].forEach(rule => this.registerRule(rule));
+    }
+
+    // Add a rule { name, apply(subject, context), enabled, order }; options.order and
+    // options.enabled override the rule's own. apply() may return weightMultiplier,
+    // revisionPriority, sessionLength, breakDuration, breakMultiplier, preferredTimeSlots,
+    // and allowed: false with a reason to veto a placement
+    registerRule(rule, options = {}) {
+        if (!rule || typeof rule.name !== 'string' || typeof rule.apply !== 'function') {
+            throw new Error('A rule needs a name and an apply(subject, context) function');
+        }
+        if (this.getRule(rule.name)) {
+            throw new Error(`Rule "${rule.name}" is already registered`);
+        }
+        
+        const lastOrder = this.rules.reduce((max, existing) => Math.max(max, existing.order), 0);
+        this.rules.push({
+            ...rule,
+            enabled: options.enabled ?? rule.enabled ?? true,
+            order: options.order ?? rule.order ?? lastOrder + 10
+        });
+        this.sortRules();
+        return this.getRule(rule.name);
+    }
+
+    // Remove a rule by name
+    unregisterRule(name) {
+        const before = this.rules.length;
+        this.rules = this.rules.filter(rule => rule.name !== name);
+        return this.rules.length !== before;
+    }
+
+    // Get a rule by name
+    getRule(name) {
+        return this.rules.find(rule => rule.name === name) || null;
+    }
+
+    // List rules in the order they run
+    getRules() {
+        return this.rules.map(({ name, enabled, order }) => ({ name, enabled, order }));
+    }
+
+    // Turn a rule on
+    enableRule(name) {
+        return this.setRuleEnabled(name, true);
+    }
+
+    // Turn a rule off without removing it
+    disableRule(name) {
+        return this.setRuleEnabled(name, false);
+    }
+
+    // Set whether a rule runs
+    setRuleEnabled(name, enabled) {
+        const rule = this.getRule(name);
+        if (!rule) return false;
+        
+        rule.enabled = enabled;
+        return true;
+    }
+
+    // Change where a rule runs; later rules win for session length, breaks and time windows
+    setRuleOrder(name, order) {
+        const rule = this.getRule(name);
+        if (!rule) return false;
+        
+        rule.order = order;
+        this.sortRules();
+        return true;
+    }
+
+    // Keep rules sorted by their order
+    sortRules() {
+        this.rules.sort((a, b) => a.order - b.order);
+    }
+
+    // Run all enabled rules for a subject
+    applyRules(subject, context = {}) {
+        return this.rules
+            .filter(rule => rule.enabled)
+            .map(rule => ({ name: rule.name, result: rule.apply(subject, context) || {} }));
+    }
+
+    // Check hard constraints for placing a subject; the context has previousSession,
+    // daySlots, dayIndex and startMinutes. Returns the veto reasons
+    checkHardConstraints(subject, context = {}) {
+        const reasons = this.applyRules(subject, context)
+            .filter(({ result }) => result.allowed === false)
+            .map(({ name, result }) => result.reason || name);
+        
+        return { allowed: reasons.length === 0, reasons };
     }
 
     // Calculate weights for all subjects
@@ -106,9 +203,8 @@ class RulesEngine {
             let totalWeight = 1;
             const adjustments = {};
             
-            // Apply all rules
-            this.rules.forEach(rule => {
-                const result = rule.apply(subject, context);
+            // Apply all enabled rules
+            this.applyRules(subject, context).forEach(({ name, result }) => {
                 
                 if (result.weightMultiplier) {
                     totalWeight *= result.weightMultiplier;
@@ -119,7 +215,7 @@ class RulesEngine {
                 }
                 
                 // Store adjustments for later use
-                adjustments[rule.name] = result;
+                adjustments[name] = result;
             });
             
             // Apply difficulty weight
@@ -134,8 +230,8 @@ class RulesEngine {
     }
 
     // Allocate daily hours to subjects
-    allocateDailyHours(subjects, totalDailyHours) {
-        const weightedSubjects = this.calculateSubjectWeights(subjects);
+    allocateDailyHours(subjects, totalDailyHours, context = {}) {
+        const weightedSubjects = this.calculateSubjectWeights(subjects, context);
         
         // Calculate total weight
         const totalWeight = weightedSubjects.reduce((sum, subj) => sum + subj.weight, 0);
@@ -162,20 +258,45 @@ class RulesEngine {
     }
 
     // Determine optimal session length for a subject
-    getOptimalSessionLength(subject, defaultSessionLength) {
-        const adjustments = this.calculateSubjectWeights([subject])[0].adjustments;
-        const difficultyRule = adjustments.difficulty_adaptation;
+    getOptimalSessionLength(subject, defaultSessionLength, context = {}) {
+        let sessionLength = defaultSessionLength;
+        this.applyRules(subject, { ...context, defaultSessionLength }).forEach(({ result }) => {
+            if (result.sessionLength) sessionLength = result.sessionLength;
+        });
         
-        return difficultyRule?.adaptedSessionLength || defaultSessionLength;
+        return sessionLength;
     }
 
     // Get break duration for a subject
-    getBreakDuration(subject, defaultBreakDuration) {
-        const adjustments = this.calculateSubjectWeights([subject])[0].adjustments;
-        const difficultyRule = adjustments.difficulty_adaptation;
+    getBreakDuration(subject, defaultBreakDuration, context = {}) {
+        let breakDuration = defaultBreakDuration;
+        let multiplier = 1;
+        this.applyRules(subject, { ...context, defaultBreakDuration }).forEach(({ result }) => {
+            if (result.breakDuration) breakDuration = result.breakDuration;
+            if (result.breakMultiplier) multiplier *= result.breakMultiplier;
+        });
+        
+        return Math.round(breakDuration * multiplier);
+    }
+
+    // Get the preferred [from, to] hours for a subject
+    getPreferredTimeSlots(subject, context = {}) {
+        let preferredTimeSlots = [];
+        this.applyRules(subject, context).forEach(({ result }) => {
+            if (result.preferredTimeSlots) preferredTimeSlots = result.preferredTimeSlots;
+        });
+        
+        return preferredTimeSlots;
+    }
+
+    // Peak window from CONFIG.TIME_PREFERENCES shifted by the user's chronotype
+    getPeakWindow(peak, chronotype) {
+        const [from, to] = CONFIG.TIME_PREFERENCES[peak];
+        const shift = CONFIG.CHRONOTYPES[chronotype]?.shift || 0;
+        const latest = CONFIG.TIME_PREFERENCES.AVOID_LATE_NIGHT;
         
-        const multiplier = difficultyRule?.breakMultiplier || 1;
-        return Math.round(defaultBreakDuration * multiplier);
+        const start = Math.min(Math.max(0, from + shift), latest - 1);
+        return [start, Math.max(start + 1, Math.min(to + shift, latest))];
     }
 
     // Check if long break is needed
@@ -193,10 +314,9 @@ class RulesEngine {
         
         subjects.forEach(subject => {
             const adjustments = this.calculateSubjectWeights([subject], context)[0].adjustments;
-            const timeRule = adjustments.time_preference;
             
             // Set preferred time slots
-            constraints.timeSlots[subject.id] = timeRule?.preferredTimeSlots || [];
+            constraints.timeSlots[subject.id] = this.getPreferredTimeSlots(subject, context);
             
             // Set subject-specific limits
             constraints.subjectLimits[subject.id] = {
@@ -250,11 +370,12 @@ class RulesEngine {
                     // Check for consecutive same subject
                     if (subjectId === lastSubjectId) {
                         consecutiveSameSubject++;
-                        if (consecutiveSameSubject > 1) {
+                        if (consecutiveSameSubject >= CONFIG.SCHEDULING_RULES.MAX_CONSECUTIVE_SESSIONS) {
                             violations.push({
                                 type: 'consecutive_sessions',
                                 day: dayIndex,
                                 slot: slotIndex,
+                                slotId: slot.id,
                                 message: `Subject repeated consecutively: ${slot.subjectName}`
                             });
                         }
@@ -266,17 +387,16 @@ class RulesEngine {
                     // Check time preferences
                     const subject = subjects.find(s => s.id === subjectId);
                     if (subject) {
-                        const hour = parseInt(slot.startTime.split(':')[0]);
-                        const adjustments = this.calculateSubjectWeights([subject])[0].adjustments;
-                        const preferredSlots = adjustments.time_preference?.preferredTimeSlots;
+                        const preferredSlots = this.getPreferredTimeSlots(subject, context);
                         
                         if (preferredSlots && preferredSlots.length === 2) {
                             const [start, end] = preferredSlots;
-                            if (hour < start || hour >= end) {
+                            if (slot.startMinutes < start * 60 || slot.startMinutes >= end * 60) {
                                 violations.push({
                                     type: 'time_preference',
                                     day: dayIndex,
                                     slot: slotIndex,
+                                    slotId: slot.id,
                                     message: `${slot.subjectName} scheduled outside preferred time (${start}:00-${end}:00)`
                                 });
                             }
@@ -284,21 +404,51 @@ class RulesEngine {
                     }
                 }
             });
+            
+            if (context.wellbeing) {
+                violations.push(...this.checkWellbeing(daySchedule, dayIndex, context.wellbeing));
+            }
         });
         
-        // Check revision frequency
-        Object.entries(subjectStats).forEach(([subjectId, stats]) => {
-            const subject = subjects.find(s => s.id === subjectId);
-            if (subject) {
-                const daysBetween = context.currentDay - stats.lastSessionDay;
-                if (daysBetween > CONFIG.SCHEDULING_RULES.REVISION_FREQUENCY) {
-                    violations.push({
-                        type: 'revision_needed',
-                        subject: subject.name,
-                        daysSinceLast: daysBetween,
-                        message: `${subject.name} hasn't been studied for ${daysBetween} days. Needs revision.`
-                    });
-                }
+        // Check every review due within the plan has a revision slot
+        const lastPlanDate = schedule[schedule.length - 1]?.isoDate;
+        (context.reviews || []).forEach(item => {
+            if (!lastPlanDate || item.dueDate > lastPlanDate) return;
+            
+            const scheduled = schedule.some(daySchedule => daySchedule.slots.some(slot =>
+                slot.reviewId === item.id && slot.repetition === item.repetition
+            ));
+            if (!scheduled) {
+                violations.push({
+                    type: 'revision_needed',
+                    reviewId: item.id,
+                    subject: item.subjectName,
+                    dueDate: item.dueDate,
+                    message: `${item.subjectName} has a review due on ${item.dueDate} with no free slot in the plan. Needs revision.`
+                });
+            }
+        });
+        
+        // Check that each subject's hours fit before its exam
+        subjects.forEach(subject => {
+            if (!subject.examDate) return;
+            
+            const minutesBeforeExam = schedule
+                .filter(daySchedule => daySchedule.isoDate && daySchedule.isoDate < subject.examDate)
+                .flatMap(daySchedule => daySchedule.slots)
+                .filter(slot => slot.subjectId === subject.id && !slot.missed)
+                .reduce((sum, slot) => sum + slot.duration, 0);
+            const hoursBeforeExam = minutesBeforeExam / 60;
+            
+            if (hoursBeforeExam < subject.hoursNeeded) {
+                const shortfall = parseFloat((subject.hoursNeeded - hoursBeforeExam).toFixed(1));
+                violations.push({
+                    type: 'deadline_shortfall',
+                    subject: subject.name,
+                    examDate: subject.examDate,
+                    shortfall,
+                    message: `${subject.name} is ${shortfall}h short of its ${subject.hoursNeeded}h before the exam on ${subject.examDate}.`
+                });
             }
         });
         
@@ -309,18 +459,80 @@ class RulesEngine {
         };
     }
 
+    // Check a day against the wellbeing settings: rest day, wind-down and focus limit
+    checkWellbeing(daySchedule, dayIndex, wellbeing) {
+        const violations = [];
+        const sessions = daySchedule.slots.filter(slot => slot.type !== CONFIG.SESSION_TYPES.BREAK && !slot.missed);
+        const studyEnd = breakPlanner.getStudyEnd(wellbeing);
+        
+        sessions.forEach(slot => {
+            if (daySchedule.isoDate && breakPlanner.isRestDay(wellbeing, daySchedule.isoDate)) {
+                violations.push({
+                    type: 'rest_day',
+                    day: dayIndex,
+                    slotId: slot.id,
+                    message: `${slot.subjectName} is on your rest day`
+                });
+            } else if (slot.endMinutes > studyEnd) {
+                violations.push({
+                    type: 'wind_down',
+                    day: dayIndex,
+                    slotId: slot.id,
+                    message: `${slot.subjectName} runs into your wind-down time`
+                });
+            }
+        });
+        
+        const focusMinutes = sessions.reduce((sum, slot) => sum + slot.duration, 0);
+        if (focusMinutes > wellbeing.maxFocusHours * 60) {
+            violations.push({
+                type: 'focus_limit',
+                day: dayIndex,
+                hours: parseFloat((focusMinutes / 60).toFixed(1)),
+                message: `${parseFloat((focusMinutes / 60).toFixed(1))}h of study is over your ${wellbeing.maxFocusHours}h daily limit`
+            });
+        }
+        
+        return violations;
+    }
+
     // Generate smart suggestions based on violations
     generateSuggestions(violations, schedule) {
         const suggestions = [];
         
         violations.forEach(violation => {
+            // What the suggestion is about, for proposing a change to the plan
+            const target = { type: violation.type, day: violation.day, slotId: violation.slotId, reviewId: violation.reviewId };
+            
             switch(violation.type) {
                 case 'consecutive_sessions':
                     suggestions.push({
                         type: 'warning',
                         message: `Avoid consecutive sessions of the same subject. Consider adding a break or switching subjects.`,
                         action: 'reschedule',
-                        priority: 'medium'
+                        priority: 'medium',
+                        target
+                    });
+                    break;
+                    
+                case 'rest_day':
+                case 'wind_down':
+                    suggestions.push({
+                        type: 'warning',
+                        message: `Day ${violation.day + 1}: ${violation.message}. Move it to another time.`,
+                        action: 'reschedule',
+                        priority: 'medium',
+                        target
+                    });
+                    break;
+                    
+                case 'focus_limit':
+                    suggestions.push({
+                        type: 'warning',
+                        message: `Day ${violation.day + 1}: ${violation.message}. Move or remove a session.`,
+                        action: 'reschedule',
+                        priority: 'high',
+                        target
                     });
                     break;
                     
@@ -329,7 +541,8 @@ class RulesEngine {
                         type: 'info',
                         message: violation.message,
                         action: 'consider_reschedule',
-                        priority: 'low'
+                        priority: 'low',
+                        target
                     });
                     break;
                     
@@ -338,7 +551,18 @@ class RulesEngine {
                         type: 'important',
                         message: violation.message,
                         action: 'add_revision',
-                        priority: 'high'
+                        priority: 'high',
+                        target
+                    });
+                    break;
+                    
+                case 'deadline_shortfall':
+                    suggestions.push({
+                        type: 'important',
+                        message: `${violation.message} Increase daily hours, reduce its hours or start earlier.`,
+                        action: 'extend_deadline',
+                        priority: 'high',
+                        target
                     });
                     break;
             }
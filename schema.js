@@ -0,0 +1,302 @@
+import CONFIG from './config.js';
+
+// Schemas and migrations for the stored documents
+
+const SUBJECT_FIELDS = {
+    id: 'string',
+    name: 'string',
+    priority: { type: 'string', oneOf: Object.keys(CONFIG.PRIORITY_WEIGHTS) },
+    difficulty: { type: 'string', oneOf: Object.keys(CONFIG.DIFFICULTY_WEIGHTS) },
+    hoursNeeded: 'number',
+    hoursCompleted: 'number?',
+    examDate: 'string?',
+    topics: { type: 'array', optional: true, items: { type: 'object', fields: { id: 'string', name: 'string', hours: 'number' } } }
+};
+
+const SLOT_FIELDS = {
+    id: 'string',
+    type: { type: 'string', oneOf: Object.values(CONFIG.SESSION_TYPES) },
+    subjectId: 'string?',
+    subjectName: 'string',
+    startTime: 'string',
+    endTime: 'string',
+    startMinutes: 'number',
+    endMinutes: 'number',
+    duration: 'number',
+    completed: 'boolean?',
+    pinned: 'boolean?',
+    actualMinutes: 'number?',
+    note: 'string?'
+};
+
+const AVAILABILITY_FIELDS = {
+    weekly: {
+        type: 'map',
+        values: {
+            type: 'object',
+            fields: {
+                start: 'string',
+                end: 'string',
+                busy: { type: 'array', items: { type: 'object', fields: { start: 'string', end: 'string' } } }
+            }
+        }
+    },
+    blockedDates: { type: 'array', items: 'string' },
+    calendars: {
+        type: 'array',
+        items: { type: 'object', fields: { id: 'string', name: 'string', events: 'array' } }
+    }
+};
+
+const WELLBEING_FIELDS = {
+    meals: {
+        type: 'array',
+        items: { type: 'object', fields: { label: 'string', start: 'string', end: 'string', duration: 'number' } }
+    },
+    maxFocusHours: 'number',
+    restDay: 'number',
+    windDownMinutes: 'number'
+};
+
+class SchemaManager {
+    constructor() {
+        this.schemas = {};
+        this.migrations = [];
+        this.initializeSchemas();
+        this.initializeMigrations();
+    }
+
+    // Shapes of the three stored documents at the current version
+    initializeSchemas() {
+        this.schemas.plan = {
+            schedule: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    fields: {
+                        day: 'number',
+                        date: 'string',
+                        isoDate: 'string',
+                        slots: { type: 'array', items: { type: 'object', fields: SLOT_FIELDS } }
+                    }
+                }
+            },
+            allocations: { type: 'array', items: { type: 'object', fields: SUBJECT_FIELDS } },
+            availability: { type: 'object', optional: true, fields: AVAILABILITY_FIELDS },
+            wellbeing: { type: 'object', optional: true, fields: WELLBEING_FIELDS },
+            suggestions: 'array?',
+            dismissedSuggestions: 'array?',
+            version: 'number'
+        };
+        
+        this.schemas.progress = {
+            completedSessions: { type: 'map', values: 'string' },
+            sessionLog: {
+                type: 'map',
+                optional: true,
+                values: { type: 'object', fields: { actualMinutes: 'number', note: 'string?', recallScore: 'number?' } }
+            },
+            reviews: {
+                type: 'map',
+                optional: true,
+                values: {
+                    type: 'object',
+                    fields: { id: 'string', subjectId: 'string', dueDate: 'string', interval: 'number', history: 'array' }
+                }
+            },
+            version: 'number'
+        };
+        
+        this.schemas.preferences = {
+            subjects: { type: 'array', items: { type: 'object', fields: SUBJECT_FIELDS } },
+            preferences: {
+                type: 'object',
+                optional: true,
+                fields: {
+                    startDate: 'string?',
+                    endDate: 'string?',
+                    dailyHours: 'number?',
+                    sessionLength: 'number?',
+                    breakDuration: 'number?',
+                    schedulingMode: { type: 'string', optional: true, oneOf: ['greedy', 'solver'] },
+                    chronotype: { type: 'string', optional: true, oneOf: Object.keys(CONFIG.CHRONOTYPES) }
+                }
+            },
+            availability: { type: 'object', optional: true, fields: AVAILABILITY_FIELDS },
+            wellbeing: { type: 'object', optional: true, fields: WELLBEING_FIELDS },
+            version: 'number'
+        };
+    }
+
+    // Upgrade steps from older saved data and backups; each upgrades data saved at `version - 1`
+    initializeMigrations() {
+        this.migrations = [
+            // 1 -> 2: slots gained minute offsets, days an ISO date, plans their
+            // availability; progress gained the session log and reviews
+            {
+                version: 2,
+                plan: plan => ({
+                    ...plan,
+                    schedule: (plan.schedule || []).map(day => ({
+                        ...day,
+                        isoDate: day.isoDate || this.toIsoDate(day.date),
+                        slots: (day.slots || []).map(slot => {
+                            const startMinutes = slot.startMinutes ?? this.parseClockTime(slot.startTime);
+                            return {
+                                ...slot,
+                                startMinutes,
+                                endMinutes: slot.endMinutes ?? (startMinutes === null ? null : startMinutes + slot.duration)
+                            };
+                        })
+                    })),
+                    availability: plan.availability ? this.migrateAvailability(plan.availability) : undefined
+                }),
+                progress: progress => ({
+                    ...progress,
+                    completedSessions: progress.completedSessions || {},
+                    sessionLog: progress.sessionLog || {},
+                    reviews: progress.reviews || {}
+                }),
+                preferences: prefs => ({
+                    ...prefs,
+                    subjects: prefs.subjects || [],
+                    availability: prefs.availability ? this.migrateAvailability(prefs.availability) : undefined
+                })
+            },
+            // 2 -> 3: break ids include the day index; they used to repeat across days
+            {
+                version: 3,
+                plan: plan => ({
+                    ...plan,
+                    schedule: (plan.schedule || []).map((day, dayIndex) => {
+                        const ids = new Set();
+                        return {
+                            ...day,
+                            slots: (day.slots || []).map(slot => {
+                                if (slot.type !== CONFIG.SESSION_TYPES.BREAK) return slot;
+                                
+                                const base = `break_${dayIndex}_${slot.startMinutes}`;
+                                let id = base;
+                                for (let n = 2; ids.has(id); n++) id = `${base}_${n}`;
+                                ids.add(id);
+                                return { ...slot, id };
+                            })
+                        };
+                    })
+                })
+            }
+        ];
+    }
+
+    // Fill in availability fields added after it was first saved
+    migrateAvailability(availability) {
+        return {
+            ...availability,
+            blockedDates: availability.blockedDates || [],
+            calendars: availability.calendars || []
+        };
+    }
+
+    // Version a document was saved at; documents from before versioning are version 1
+    getVersion(data) {
+        const version = parseInt(data?.version);
+        return Number.isFinite(version) && version > 0 ? version : 1;
+    }
+
+    // Migrate a document to the current version and validate it;
+    // returns { data, errors } where data is null when there are errors
+    upgrade(kind, data, version = this.getVersion(data)) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return { data: null, errors: [`${kind}: expected object, got ${this.describeType(data)}`] };
+        }
+        if (version > CONFIG.SCHEMA_VERSION) {
+            return { data: null, errors: [`${kind}: saved by a newer version (${version}) of the planner`] };
+        }
+        
+        let upgraded = data;
+        this.migrations
+            .filter(migration => migration.version > version && migration.version <= CONFIG.SCHEMA_VERSION)
+            .sort((a, b) => a.version - b.version)
+            .forEach(migration => {
+                upgraded = migration[kind] ? migration[kind](upgraded) : upgraded;
+            });
+        upgraded = { ...upgraded, version: CONFIG.SCHEMA_VERSION };
+        
+        const errors = this.validate(kind, upgraded);
+        return { data: errors.length > 0 ? null : upgraded, errors };
+    }
+
+    // Check a document against its schema
+    validate(kind, data) {
+        const errors = [];
+        this.validateValue({ type: 'object', fields: this.schemas[kind] }, data, kind, errors);
+        return errors;
+    }
+
+    // Check one value against a field spec, collecting "path: message" errors. A spec is a
+    // type name ('number', or 'number?' when optional) or { type, optional, oneOf, fields, items, values }
+    validateValue(spec, value, path, errors) {
+        const rule = typeof spec === 'string'
+            ? { type: spec.replace('?', ''), optional: spec.endsWith('?') }
+            : spec;
+        
+        if (value === undefined || value === null) {
+            if (!rule.optional) errors.push(`${path}: is required`);
+            return;
+        }
+        
+        const actual = this.describeType(value);
+        const expected = rule.type === 'map' ? 'object' : rule.type;
+        if (actual !== expected) {
+            errors.push(`${path}: expected ${expected}, got ${actual}`);
+            return;
+        }
+        
+        if (rule.oneOf && !rule.oneOf.includes(value)) {
+            errors.push(`${path}: must be one of ${rule.oneOf.join(', ')} (got "${value}")`);
+        }
+        if (rule.fields) {
+            Object.entries(rule.fields).forEach(([name, fieldSpec]) => {
+                this.validateValue(fieldSpec, value[name], `${path}.${name}`, errors);
+            });
+        }
+        if (rule.items) {
+            value.forEach((item, index) => this.validateValue(rule.items, item, `${path}[${index}]`, errors));
+        }
+        if (rule.values) {
+            Object.entries(value).forEach(([key, item]) => this.validateValue(rule.values, item, `${path}.${key}`, errors));
+        }
+    }
+
+    // Type name used in error messages
+    describeType(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number' && !Number.isFinite(value)) return 'invalid number';
+        return typeof value;
+    }
+
+    // Parse "9:30 AM" or "09:30" into minutes since midnight
+    parseClockTime(text) {
+        const match = /^(\d{1,2}):(\d{2})\s*(AM|PM)?$/i.exec((text || '').trim());
+        if (!match) return null;
+        
+        let hours = parseInt(match[1]) % (match[3] ? 12 : 24);
+        if (match[3]?.toUpperCase() === 'PM') hours += 12;
+        return hours * 60 + parseInt(match[2]);
+    }
+
+    // ISO date for a display date such as "Monday, January 1, 2024"
+    toIsoDate(displayDate) {
+        const date = new Date(displayDate);
+        if (isNaN(date)) return null;
+        
+        const month = (date.getMonth() + 1).toString().padStart(2, '0');
+        const day = date.getDate().toString().padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+}
+
+// Create and export singleton instance
+const schemaManager = new SchemaManager();
+export default schemaManager;
\ No newline at end of file
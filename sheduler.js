@@ -1,5 +1,16 @@
 import CONFIG from './config.js';
 import rulesEngine from './rules.js';
+import availabilityManager from './availability.js';
+import dateHelper from './dates.js';
+import breakPlanner from './breaks.js';
+import revisionEngine from './revision.js';
+import constraintSolver from './solver.js';
+import icalExporter from './ical.js';
+import progressTracker from './progress.js';
+import integrityChecker from './integrity.js';
+
+// Slot fields that record work done, kept when a plan is regenerated
+const PROGRESS_FIELDS = ['completed', 'actualMinutes', 'actualStart', 'actualEnd', 'note', 'recallScore'];
 
 class SmartScheduler {
     constructor() {
@@ -13,148 +24,528 @@ class SmartScheduler {
         };
     }
 
-    // Generate complete study plan
+    // Generate complete study plan. Generation makes no random choices and reads
+    // no clock: the same inputs, subject ids and reviews give an identical plan.
     generatePlan(inputs, subjects) {
         console.log('Generating smart study plan...');
         
-        const { timeline, sessionSettings } = inputs;
+        const { timeline, sessionSettings, preferences } = inputs;
         const totalDays = timeline.totalDays;
         const dailyHours = timeline.dailyHours;
+        this.startDate = timeline.startDate;
+        this.availability = preferences?.availability || null;
+        this.wellbeing = breakPlanner.getSettings(preferences?.wellbeing);
+        this.chronotype = preferences?.chronotype || 'balanced';
+        
+        // Calculate subject allocations, with reviews due by the first day
+        const allocations = rulesEngine.allocateDailyHours(subjects, dailyHours, {
+            reviews: revisionEngine.getReviews(),
+            today: this.getIsoDate(0)
+        });
         
-        // Calculate subject allocations
-        const allocations = rulesEngine.allocateDailyHours(subjects, dailyHours);
+        // Work out the last study day of each subject from its exam date
+        this.assignDeadlines(allocations, totalDays);
         
         // Generate schedule for each day
         this.schedule = [];
-        const allSlots = [];
+        this.placedReviews = new Set();
+        this.topicMinutes = {};
+        this.busyBlocks = {};
+        this.solverReport = null;
+        this.resetContext();
+        
+        // Sessions pinned by hand keep their place and count towards their subject
+        const pinned = this.groupPinnedSessions(inputs.pinned || [], allocations);
+        allocations.forEach(subject => {
+            subject.hoursScheduled = Object.values(pinned)
+                .flat()
+                .filter(slot => slot.subjectId === subject.id)
+                .reduce((sum, slot) => sum + slot.duration / 60, 0);
+        });
         
         for (let day = 0; day < totalDays; day++) {
-            const daySchedule = this.generateDaySchedule(day, allocations, sessionSettings);
+            // The rest of the day is planned around its pinned slots
+            const pinnedSlots = pinned[this.getIsoDate(day)] || [];
+            const pinnedMinutes = pinnedSlots
+                .filter(slot => slot.type !== CONFIG.SESSION_TYPES.BREAK)
+                .reduce((sum, slot) => sum + slot.duration, 0);
+            
+            const daySchedule = this.generateDaySchedule(day, allocations, {
+                ...sessionSettings,
+                dailyHours: breakPlanner.getFocusHours(this.wellbeing, dailyHours) - pinnedMinutes / 60,
+                focusMinutes: this.wellbeing.maxFocusHours * 60 - pinnedMinutes
+            }, pinnedSlots);
+            if (pinnedSlots.length > 0) {
+                const placed = pinnedSlots.map(slot => ({
+                    ...slot,
+                    id: slot.type === CONFIG.SESSION_TYPES.BREAK
+                        ? `break_${day}_${slot.startMinutes}`
+                        : `session_${slot.subjectId}_${day}_${slot.startMinutes}`,
+                    day: day + 1
+                }));
+                daySchedule.slots = [...placed, ...daySchedule.slots]
+                    .sort((a, b) => a.startMinutes - b.startMinutes);
+                this.updateDayTotals(daySchedule);
+            }
             this.schedule.push(daySchedule);
-            allSlots.push(...daySchedule.slots);
             
             // Update context for next day
             this.updateContextAfterDay(day, daySchedule);
         }
+        this.busyBlocks = {};
+        
+        return this.buildPlanResult(allocations, subjects);
+    }
+
+    // Pinned slots by ISO date; sessions of subjects no longer in the plan are dropped
+    groupPinnedSessions(pinned, allocations) {
+        const subjectIds = new Set(allocations.map(subject => subject.id));
+        const byDate = {};
+        
+        pinned
+            .filter(({ slot }) => slot.type === CONFIG.SESSION_TYPES.BREAK || subjectIds.has(slot.subjectId))
+            .forEach(({ isoDate, slot }) => {
+                (byDate[isoDate] ||= []).push({ ...slot });
+                if (slot.topicId && slot.type === CONFIG.SESSION_TYPES.STUDY) {
+                    this.topicMinutes[slot.topicId] = (this.topicMinutes[slot.topicId] || 0) + slot.duration;
+                }
+            });
+        
+        return byDate;
+    }
+
+    // Validate the schedule and assemble the plan object
+    buildPlanResult(allocations, subjects) {
+        const allSlots = this.schedule.flatMap(day => day.slots);
         
         // Validate the complete schedule
         const validation = rulesEngine.validateSchedule(this.schedule, subjects, {
             currentDay: this.currentDay,
+            reviews: revisionEngine.getReviews(),
+            wellbeing: this.wellbeing,
             ...this.context
         });
         
         // Generate suggestions
         const suggestions = rulesEngine.generateSuggestions(validation.violations, this.schedule);
         
-        return {
+        const plan = {
             schedule: this.schedule,
             allocations,
             validation,
             suggestions,
-            summary: this.generateSummary(allSlots, subjects, totalDays)
+            deadlines: this.generateDeadlineReport(allocations),
+            availability: this.availability,
+            wellbeing: this.wellbeing,
+            solver: this.solverReport,
+            summary: this.generateSummary(allSlots, subjects, this.schedule.length)
+        };
+        integrityChecker.applyTo(plan);
+        
+        return plan;
+    }
+
+    // Rebuild a plan from a day onwards: completed sessions stay, past
+    // incomplete sessions become missed and remaining hours are spread
+    // across the remaining days
+    replanFromDay(plan, inputs, fromDayIndex) {
+        console.log(`Replanning from day ${fromDayIndex + 1}...`);
+        
+        const { timeline, sessionSettings, preferences } = inputs;
+        const totalDays = plan.schedule.length;
+        const dailyHours = timeline.dailyHours;
+        this.startDate = new Date(plan.schedule[0].isoDate);
+        this.availability = preferences?.availability || plan.availability || null;
+        this.wellbeing = breakPlanner.getSettings(preferences?.wellbeing || plan.wellbeing);
+        this.chronotype = preferences?.chronotype || 'balanced';
+        
+        const subjects = plan.allocations.map(subject => ({ ...subject }));
+        const allocations = rulesEngine.allocateDailyHours(subjects, dailyHours, {
+            reviews: revisionEngine.getReviews(),
+            today: this.getIsoDate(fromDayIndex)
+        });
+        this.assignDeadlines(allocations, totalDays);
+        
+        // Completed work, and pinned sessions still to come, count towards each subject and topic
+        this.placedReviews = new Set();
+        this.topicMinutes = {};
+        this.busyBlocks = {};
+        this.solverReport = null;
+        this.resetContext();
+        
+        const completedHours = {};
+        plan.schedule.forEach((daySchedule, dayIndex) => {
+            daySchedule.slots
+                .filter(slot => slot.type === CONFIG.SESSION_TYPES.STUDY &&
+                    (slot.completed || (slot.pinned && dayIndex >= fromDayIndex)))
+                .forEach(slot => {
+                    completedHours[slot.subjectId] = (completedHours[slot.subjectId] || 0) + slot.duration / 60;
+                    if (slot.topicId) {
+                        this.topicMinutes[slot.topicId] = (this.topicMinutes[slot.topicId] || 0) + slot.duration;
+                    }
+                });
+        });
+        allocations.forEach(subject => {
+            subject.hoursScheduled = completedHours[subject.id] || 0;
+        });
+        
+        // Past days are kept, with unfinished sessions marked as missed
+        const missed = [];
+        this.schedule = plan.schedule.slice(0, fromDayIndex).map(daySchedule => {
+            const slots = daySchedule.slots.map(slot => {
+                if (slot.type === CONFIG.SESSION_TYPES.BREAK || slot.completed) return slot;
+                const missedSlot = { ...slot, missed: true };
+                missed.push(missedSlot);
+                return missedSlot;
+            });
+            return { ...daySchedule, slots };
+        });
+        
+        // Remaining days are regenerated around sessions already completed or pinned
+        for (let day = fromDayIndex; day < totalDays; day++) {
+            const completedSlots = plan.schedule[day].slots.filter(slot => slot.completed || slot.pinned);
+            const completedMinutes = completedSlots
+                .filter(slot => slot.type !== CONFIG.SESSION_TYPES.BREAK)
+                .reduce((sum, slot) => sum + slot.duration, 0);
+            
+            const daySchedule = this.generateDaySchedule(day, allocations, {
+                ...sessionSettings,
+                dailyHours: breakPlanner.getFocusHours(this.wellbeing, dailyHours) - completedMinutes / 60,
+                focusMinutes: this.wellbeing.maxFocusHours * 60 - completedMinutes
+            }, completedSlots);
+            daySchedule.slots = [...completedSlots, ...daySchedule.slots]
+                .sort((a, b) => a.startMinutes - b.startMinutes);
+            this.updateDayTotals(daySchedule);
+            this.schedule.push(daySchedule);
+            
+            this.updateContextAfterDay(day, daySchedule);
+        }
+        this.busyBlocks = {};
+        
+        const replanned = {
+            ...this.buildPlanResult(allocations, plan.allocations),
+            replannedAt: new Date().toISOString()
+        };
+        
+        return {
+            plan: replanned,
+            diff: this.diffPlans(plan, replanned, fromDayIndex, missed)
+        };
+    }
+
+    // Copy completed work from the previous version of a plan onto the
+    // regenerated one. Sessions match on type, subject, topic, date and start
+    // time, so they are found again even when their ids change. Returns the id
+    // moves and the completed sessions ({ id, isoDate }) that no longer exist.
+    carryOverProgress(previousPlan, plan) {
+        const result = { carried: [], dropped: [] };
+        if (!previousPlan?.schedule) return result;
+        
+        const completed = new Map();
+        previousPlan.schedule.forEach(daySchedule => {
+            daySchedule.slots
+                .filter(slot => slot.completed)
+                .forEach(slot => completed.set(this.getSlotKey(slot, daySchedule.isoDate), { slot, isoDate: daySchedule.isoDate }));
+        });
+        
+        plan.schedule.forEach(daySchedule => {
+            daySchedule.slots.forEach(slot => {
+                const key = this.getSlotKey(slot, daySchedule.isoDate);
+                const previous = completed.get(key)?.slot;
+                if (!previous) return;
+                
+                PROGRESS_FIELDS
+                    .filter(field => previous[field] !== undefined)
+                    .forEach(field => { slot[field] = previous[field]; });
+                completed.delete(key);
+                result.carried.push({ fromId: previous.id, toId: slot.id });
+            });
+        });
+        result.dropped = [...completed.values()].map(({ slot, isoDate }) => ({ id: slot.id, isoDate }));
+        
+        // Completed hours count towards each subject again
+        progressTracker.updateSubjectHours(plan);
+        
+        return result;
+    }
+
+    // Key identifying a session independently of its id
+    getSlotKey(slot, isoDate) {
+        return [slot.type, slot.subjectId, slot.topicId || '', isoDate, slot.startMinutes].join('|');
+    }
+
+    // Compare the pending sessions of two plans from a day onwards
+    diffPlans(oldPlan, newPlan, fromDayIndex, missed = []) {
+        const pendingSessions = (schedule) => schedule
+            .slice(fromDayIndex)
+            .flatMap(day => day.slots)
+            .filter(slot => slot.type !== CONFIG.SESSION_TYPES.BREAK && !slot.completed);
+        
+        const before = pendingSessions(oldPlan.schedule);
+        const after = pendingSessions(newPlan.schedule);
+        const beforeIds = new Set(before.map(slot => slot.id));
+        const afterIds = new Set(after.map(slot => slot.id));
+        
+        // Remaining hours per subject before and after
+        const subjects = {};
+        const addHours = (slot, key) => {
+            subjects[slot.subjectName] = subjects[slot.subjectName] || { subjectName: slot.subjectName, hoursBefore: 0, hoursAfter: 0 };
+            subjects[slot.subjectName][key] += slot.duration / 60;
+        };
+        before.forEach(slot => addHours(slot, 'hoursBefore'));
+        after.forEach(slot => addHours(slot, 'hoursAfter'));
+        
+        return {
+            fromDay: fromDayIndex + 1,
+            missed,
+            removed: before.filter(slot => !afterIds.has(slot.id)),
+            added: after.filter(slot => !beforeIds.has(slot.id)),
+            subjects: Object.values(subjects)
+        };
+    }
+
+    // Reset the day-to-day scheduling context
+    resetContext() {
+        this.currentDay = 0;
+        this.context = {
+            lastScheduledSubject: null,
+            daysSinceLastStudy: {},
+            consecutiveSessions: 0,
+            sessionCountToday: 0,
+            chronotype: this.chronotype || 'balanced'
         };
     }
 
-    // Generate schedule for a single day
-    generateDaySchedule(dayIndex, allocations, sessionSettings) {
+    // Set the last day each subject may be studied (the day before its exam)
+    assignDeadlines(allocations, totalDays) {
+        allocations.forEach(subject => {
+            subject.hoursScheduled = 0;
+            subject.deadlineDay = totalDays - 1;
+            
+            if (subject.examDate) {
+                const examDay = this.getDayIndexForDate(subject.examDate);
+                subject.deadlineDay = Math.min(totalDays - 1, examDay - CONFIG.SCHEDULING_RULES.EXAM_DAY_BUFFER);
+            }
+        });
+    }
+
+    // Hours a subject still has to cover per remaining day before its deadline
+    getRequiredPace(subject, dayIndex) {
+        const remainingHours = subject.hoursNeeded - (subject.hoursScheduled || 0);
+        const daysLeft = subject.deadlineDay - dayIndex + 1;
+        
+        if (remainingHours <= 0) return 0;
+        if (daysLeft <= 0) return Infinity;
+        return remainingHours / daysLeft;
+    }
+
+    // Report subjects whose hours don't fit before their own deadline
+    generateDeadlineReport(allocations) {
+        return allocations.map(subject => {
+            const hoursScheduled = parseFloat((subject.hoursScheduled || 0).toFixed(2));
+            const shortfall = Math.max(0, parseFloat((subject.hoursNeeded - hoursScheduled).toFixed(2)));
+            
+            return {
+                subjectId: subject.id,
+                subjectName: subject.name,
+                examDate: subject.examDate || null,
+                lastStudyDay: subject.deadlineDay + 1,
+                hoursNeeded: subject.hoursNeeded,
+                hoursScheduled,
+                shortfall,
+                fits: shortfall === 0
+            };
+        });
+    }
+
+    // Generate schedule for a single day around the slots already done or pinned
+    generateDaySchedule(dayIndex, allocations, sessionSettings, fixedSlots = []) {
         const daySlots = [];
-        let currentTime = 9 * 60; // Start at 9:00 AM (in minutes)
+        this.busyBlocks[dayIndex] = fixedSlots.map(slot => [slot.startMinutes, slot.endMinutes]);
+        
+        // Meals are reserved before any session is placed, so sessions flow around them
+        const meals = breakPlanner.placeMeals(this.getDayWindows(dayIndex), this.wellbeing);
+        this.busyBlocks[dayIndex] = [...(this.busyBlocks[dayIndex] || []), ...meals.map(meal => [meal.start, meal.end])];
+        const windows = this.getDayWindows(dayIndex);
+        let windowIndex = 0;
+        let currentTime = windows.length > 0 ? windows[0][0] : 0; // In minutes
         let sessionCount = 0;
-        let lastSubjectId = null;
         
         // Filter subjects that need study today
         const todaysSubjects = this.selectTodaysSubjects(allocations, dayIndex);
+        todaysSubjects.forEach(subject => {
+            subject.hoursScheduledToday = 0;
+            subject.targetHoursToday = this.getRequiredPace(subject, dayIndex);
+        });
+        
+        // Due reviews take precedence, most overdue first
+        const reviewQueue = revisionEngine
+            .getDueReviews(this.getIsoDate(dayIndex), this.placedReviews)
+            .slice(0, CONFIG.SPACED_REPETITION.MAX_REVIEWS_PER_DAY);
         
         // Sort by priority and needs
         todaysSubjects.sort((a, b) => {
-            // First by revision need
-            const aNeedsRevision = this.context.daysSinceLastStudy[a.id] >= CONFIG.SCHEDULING_RULES.REVISION_FREQUENCY;
-            const bNeedsRevision = this.context.daysSinceLastStudy[b.id] >= CONFIG.SCHEDULING_RULES.REVISION_FREQUENCY;
-            
-            if (aNeedsRevision && !bNeedsRevision) return -1;
-            if (!aNeedsRevision && bNeedsRevision) return 1;
+            // First by the closest exam
+            if (a.deadlineDay !== b.deadlineDay) return a.deadlineDay - b.deadlineDay;
             
             // Then by priority
             const priorityOrder = { high: 3, medium: 2, low: 1 };
             return priorityOrder[b.priority] - priorityOrder[a.priority];
         });
         
-        // Generate slots until daily hours are used or time runs out
+        // The constraint solver lays out the whole day at once
+        if (sessionSettings.schedulingMode === 'solver') {
+            return this.buildDaySchedule(
+                dayIndex,
+                this.addMealBreaks(this.generateSolvedSlots(dayIndex, windows, todaysSubjects, reviewQueue, sessionSettings, fixedSlots), meals, dayIndex)
+            );
+        }
+        
+        // Generate slots until daily hours are used or the free windows run out
         let remainingHours = sessionSettings.dailyHours;
-        let subjectIndex = 0;
+        let focusMinutes = sessionSettings.focusMinutes ?? Infinity; // Hard cap, unlike the daily target
+        let carryOver = null; // Rest of a session split by a busy block
         
-        while (remainingHours > 0 && currentTime < 21 * 60) { // Until 9 PM
-            const subject = todaysSubjects[subjectIndex % todaysSubjects.length];
+        while (remainingHours > 0 && focusMinutes >= CONFIG.AVAILABILITY.MIN_SESSION_LENGTH && windowIndex < windows.length) {
+            const windowEnd = windows[windowIndex][1];
             
-            if (!subject) break;
+            // Skip to the next free window when this one is used up
+            if (windowEnd - currentTime < CONFIG.AVAILABILITY.MIN_SESSION_LENGTH) {
+                windowIndex++;
+                currentTime = windows[windowIndex]?.[0];
+                continue;
+            }
+            
+            // The subject the day's last sessions ran in, however many breaks apart,
+            // counting those already done or pinned
+            const daySoFar = this.getDaySoFar(fixedSlots, daySlots, currentTime);
+            const run = this.getSubjectRun(daySoFar);
             
-            // Check if we should avoid consecutive same subject
-            if (subject.id === lastSubjectId && todaysSubjects.length > 1) {
-                subjectIndex++;
+            // Wait for a later peak window when no subject behind is in its own
+            if (!carryOver && reviewQueue.length === 0) {
+                const preferredStart = this.getPreferredStart(todaysSubjects, currentTime, windows, remainingHours, sessionSettings, run);
+                if (preferredStart > currentTime) {
+                    while (windowIndex < windows.length && windows[windowIndex][1] <= preferredStart) windowIndex++;
+                    if (windowIndex >= windows.length) break;
+                    currentTime = Math.max(preferredStart, windows[windowIndex][0]);
+                    continue;
+                }
+            }
+            
+            // A session done or pinned just before still gets its break
+            const breakOwed = this.getBreakOwed(daySoFar, fixedSlots, allocations, sessionSettings, currentTime);
+            if (breakOwed > 0) {
+                const breakSlot = this.createBreakSlot(currentTime, Math.min(breakOwed, windowEnd - currentTime), dayIndex, 'regular');
+                daySlots.push(breakSlot);
+                currentTime += breakSlot.duration;
                 continue;
             }
             
+            // A review of another subject goes first when the run is at its limit
+            const reviewIndex = reviewQueue.findIndex(item => !this.isRunLimited(item.subjectId, run));
+            const reviewItem = !carryOver && reviewQueue.length > 0 ? reviewQueue.splice(Math.max(reviewIndex, 0), 1)[0] : null;
+            const subject = carryOver
+                ? carryOver.subject
+                : reviewItem ? this.getReviewSubject(reviewItem) : this.pickNextSubject(todaysSubjects, run, {
+                    previousSession: daySoFar.filter(slot => slot.type !== CONFIG.SESSION_TYPES.BREAK).pop() || null,
+                    daySlots: daySoFar,
+                    dayIndex,
+                    startMinutes: currentTime,
+                    chronotype: this.context.chronotype
+                });
+            
+            if (!subject) break;
+            
             // Determine session length for this subject
-            const sessionLength = rulesEngine.getOptimalSessionLength(subject, sessionSettings.sessionLength);
+            let plannedLength = carryOver
+                ? carryOver.minutes
+                : rulesEngine.getOptimalSessionLength(subject, sessionSettings.sessionLength);
+            if (reviewItem) plannedLength = CONFIG.SPACED_REPETITION.REVIEW_SESSION_LENGTH;
+            plannedLength = Math.min(plannedLength, focusMinutes);
             const breakDuration = rulesEngine.getBreakDuration(subject, sessionSettings.breakDuration);
+            const sessionLength = Math.min(plannedLength, windowEnd - currentTime);
+            
+            // Reviews revisit their topic; a split session keeps its topic
+            const topic = reviewItem
+                ? this.getReviewTopic(reviewItem)
+                : carryOver ? carryOver.topic : this.getNextTopic(subject);
             
-            // Create study session
+            // Create study or revision session
             const sessionSlot = this.createSessionSlot(
                 subject,
                 currentTime,
                 sessionLength,
-                dayIndex
+                dayIndex,
+                reviewItem ? CONFIG.SESSION_TYPES.REVISION : CONFIG.SESSION_TYPES.STUDY,
+                topic
             );
+            if (carryOver) sessionSlot.continued = true;
+            if (reviewItem) {
+                sessionSlot.reviewId = reviewItem.id;
+                sessionSlot.repetition = reviewItem.repetition;
+                this.placedReviews.add(reviewItem.id);
+            }
             daySlots.push(sessionSlot);
             
             currentTime += sessionLength;
             remainingHours -= sessionLength / 60;
-            sessionCount++;
-            lastSubjectId = subject.id;
+            focusMinutes -= sessionLength;
+            
+            // Update subject hours (reviews come on top of the new material)
+            if (!reviewItem) {
+                subject.hoursScheduledToday = (subject.hoursScheduledToday || 0) + (sessionLength / 60);
+                subject.hoursScheduled = (subject.hoursScheduled || 0) + (sessionLength / 60);
+                if (topic) {
+                    this.topicMinutes[topic.id] = (this.topicMinutes[topic.id] || 0) + sessionLength;
+                }
+            }
             
-            // Update subject hours
-            subject.hoursScheduledToday = (subject.hoursScheduledToday || 0) + (sessionLength / 60);
+            // Split the session around a busy block; the block stands in for the break
+            const leftover = reviewItem ? 0 : plannedLength - sessionLength;
+            carryOver = leftover >= CONFIG.AVAILABILITY.MIN_SESSION_LENGTH ? { subject, topic, minutes: leftover } : null;
+            if (carryOver || currentTime >= windowEnd) {
+                windowIndex++;
+                currentTime = windows[windowIndex]?.[0];
+                continue;
+            }
+            
+            sessionCount++;
             
             // Check if we need a long break
             if (rulesEngine.needsLongBreak(sessionCount, CONFIG.SCHEDULING_RULES.MAX_SESSIONS_WITHOUT_LONG_BREAK)) {
                 const longBreakSlot = this.createBreakSlot(
                     currentTime,
-                    CONFIG.SCHEDULING_RULES.LONG_BREAK_DURATION,
+                    Math.min(CONFIG.SCHEDULING_RULES.LONG_BREAK_DURATION, windowEnd - currentTime),
+                    dayIndex,
                     'long'
                 );
                 daySlots.push(longBreakSlot);
-                currentTime += CONFIG.SCHEDULING_RULES.LONG_BREAK_DURATION;
+                currentTime += longBreakSlot.duration;
                 sessionCount = 0;
             } else if (remainingHours > 0) {
                 // Add regular break
-                const breakSlot = this.createBreakSlot(currentTime, breakDuration, 'regular');
+                const breakSlot = this.createBreakSlot(currentTime, Math.min(breakDuration, windowEnd - currentTime), dayIndex, 'regular');
                 daySlots.push(breakSlot);
-                currentTime += breakDuration;
-            }
-            
-            subjectIndex++;
-            
-            // Avoid scheduling too late
-            if (currentTime >= CONFIG.TIME_PREFERENCES.AVOID_LATE_NIGHT * 60) {
-                break;
-            }
-        }
-        
-        // Add lunch break if schedule extends past 12 PM
-        if (currentTime > 12 * 60 && currentTime < 14 * 60) {
-            const lunchIndex = daySlots.findIndex(slot => 
-                parseInt(slot.startTime.split(':')[0]) >= 12
-            );
-            
-            if (lunchIndex > -1) {
-                const lunchBreak = this.createBreakSlot(12 * 60, 60, 'lunch');
-                daySlots.splice(lunchIndex, 0, lunchBreak);
+                currentTime += breakSlot.duration;
             }
         }
         
+        return this.buildDaySchedule(dayIndex, this.addMealBreaks(daySlots, meals, dayIndex));
+    }
+
+    // Add the reserved meals that fall within the study day as breaks, in time order
+    addMealBreaks(daySlots, meals, dayIndex) {
+        const mealBreaks = breakPlanner.getMealsInStudyDay(meals, daySlots)
+            .map(meal => this.createBreakSlot(meal.start, meal.end - meal.start, dayIndex, 'meal', `${meal.label} Break`));
+        return [...daySlots, ...mealBreaks].sort((a, b) => a.startMinutes - b.startMinutes);
+    }
+
+    // Wrap a day's slots with its date and totals
+    buildDaySchedule(dayIndex, daySlots) {
         return {
             day: dayIndex + 1,
             date: this.calculateDate(dayIndex),
+            isoDate: this.getIsoDate(dayIndex),
             totalSessions: daySlots.filter(s => s.type === CONFIG.SESSION_TYPES.STUDY || s.type === CONFIG.SESSION_TYPES.REVISION).length,
             totalStudyHours: daySlots
                 .filter(s => s.type === CONFIG.SESSION_TYPES.STUDY || s.type === CONFIG.SESSION_TYPES.REVISION)
@@ -163,43 +554,253 @@ class SmartScheduler {
         };
     }
 
-    // Select which subjects to study today
-    selectTodaysSubjects(allocations, dayIndex) {
-        // Start with subjects that need revision
-        const revisionSubjects = allocations.filter(subject => {
-            const daysSince = this.context.daysSinceLastStudy[subject.id] || 0;
-            return daysSince >= CONFIG.SCHEDULING_RULES.REVISION_FREQUENCY;
+    // Lay out a day with the constraint solver and turn its placements into slots
+    generateSolvedSlots(dayIndex, windows, todaysSubjects, reviewQueue, sessionSettings, fixedSlots = []) {
+        // A window opening as a done or pinned session ends starts with that session's break
+        const openingBreaks = [];
+        const solverWindows = windows.map(([start, end]) => {
+            const owed = this.getBreakOwed(this.getDaySoFar(fixedSlots, [], start), fixedSlots, todaysSubjects, sessionSettings, start);
+            if (owed <= 0) return [start, end];
+            
+            const breakSlot = this.createBreakSlot(start, Math.min(owed, end - start), dayIndex, 'regular');
+            openingBreaks.push({ breakSlot, end });
+            return [breakSlot.endMinutes, end];
         });
         
-        if (revisionSubjects.length > 0) {
-            return revisionSubjects.slice(0, 3); // Max 3 revision subjects per day
+        const result = constraintSolver.solveDay({
+            dayIndex,
+            windows: solverWindows,
+            subjects: todaysSubjects,
+            reviews: reviewQueue.map(item => ({ item, subject: this.getReviewSubject(item) })),
+            fixedSessions: fixedSlots
+                .filter(slot => slot.type !== CONFIG.SESSION_TYPES.BREAK)
+                .sort((a, b) => a.startMinutes - b.startMinutes),
+            sessionSettings,
+            constraints: rulesEngine.generateConstraints(todaysSubjects, this.context)
+        });
+        this.recordSolverResult(dayIndex, result);
+        
+        // Breaks are only kept in windows that get a session
+        const breaks = openingBreaks
+            .filter(({ breakSlot, end }) => result.placements.some(placement =>
+                placement.item && placement.start >= breakSlot.endMinutes && placement.start < end))
+            .map(({ breakSlot }) => breakSlot);
+        
+        return [...breaks, ...result.placements.map(placement => {
+            const duration = placement.end - placement.start;
+            if (!placement.item) {
+                return this.createBreakSlot(placement.start, duration, dayIndex, placement.breakType);
+            }
+            
+            const { subject, review } = placement.item;
+            const topic = review ? this.getReviewTopic(review) : this.getNextTopic(subject);
+            const sessionSlot = this.createSessionSlot(
+                subject,
+                placement.start,
+                duration,
+                dayIndex,
+                review ? CONFIG.SESSION_TYPES.REVISION : CONFIG.SESSION_TYPES.STUDY,
+                topic
+            );
+            
+            if (review) {
+                sessionSlot.reviewId = review.id;
+                sessionSlot.repetition = review.repetition;
+                this.placedReviews.add(review.id);
+            } else {
+                subject.hoursScheduledToday = (subject.hoursScheduledToday || 0) + (duration / 60);
+                subject.hoursScheduled = (subject.hoursScheduled || 0) + (duration / 60);
+                if (topic) {
+                    this.topicMinutes[topic.id] = (this.topicMinutes[topic.id] || 0) + duration;
+                }
+            }
+            return sessionSlot;
+        })];
+    }
+
+    // Add a day's solver cost and sacrifices to the plan-wide report
+    recordSolverResult(dayIndex, result) {
+        if (!this.solverReport) {
+            this.solverReport = {
+                cost: { timePreference: 0, consecutive: 0, unscheduled: 0, total: 0 },
+                days: [],
+                sacrificed: []
+            };
         }
         
-        // Normal day: select based on allocation
-        const availableSubjects = allocations.filter(subject => {
-            const hoursScheduled = subject.hoursScheduled || 0;
-            return hoursScheduled < subject.allocatedHours * (dayIndex + 1);
+        Object.keys(this.solverReport.cost).forEach(key => {
+            this.solverReport.cost[key] = parseFloat((this.solverReport.cost[key] + result.cost[key]).toFixed(2));
+        });
+        this.solverReport.days.push({ day: dayIndex + 1, cost: result.cost });
+        this.solverReport.sacrificed.push(...result.sacrificed);
+    }
+
+    // Get the free study windows for a day from the availability model and the
+    // wellbeing settings
+    getDayWindows(dayIndex) {
+        const isoDate = this.getIsoDate(dayIndex);
+        const windows = breakPlanner.limitWindows(availabilityManager.getFreeWindows(this.availability, isoDate), this.wellbeing, isoDate);
+        const busy = [...(this.busyBlocks?.[dayIndex] || [])].sort((a, b) => a[0] - b[0]);
+        return availabilityManager.subtractBlocks(windows, busy);
+    }
+
+    // Select which subjects to study today
+    selectTodaysSubjects(allocations, dayIndex) {
+        // Subjects whose exam has passed or whose hours are covered drop out
+        const activeSubjects = allocations.filter(subject =>
+            dayIndex <= subject.deadlineDay && (subject.hoursScheduled || 0) < subject.hoursNeeded
+        );
+        
+        // Front-load the subjects with the tightest deadlines
+        const availableSubjects = [...activeSubjects].sort((a, b) => {
+            const paceDiff = this.getRequiredPace(b, dayIndex) - this.getRequiredPace(a, dayIndex);
+            if (paceDiff !== 0) return paceDiff;
+            return a.deadlineDay - b.deadlineDay;
         });
         
-        // Distribute subjects across the week
         const subjectsPerDay = Math.min(availableSubjects.length, 4);
-        const startIdx = dayIndex % Math.max(1, Math.floor(availableSubjects.length / subjectsPerDay));
+        return availableSubjects.slice(0, subjectsPerDay);
+    }
+
+    // Pick the subject furthest behind its pace for today
+    pickNextSubject(todaysSubjects, run, placementContext = {}) {
+        // Hard constraints from the rules engine are never broken
+        const candidates = todaysSubjects.filter(subject =>
+            (subject.hoursScheduled || 0) < subject.hoursNeeded &&
+            rulesEngine.checkHardConstraints(subject, placementContext).allowed
+        );
+        
+        // No subject runs longer than the limit when there is a choice
+        const allowed = candidates.filter(subject => !this.isRunLimited(subject.id, run));
+        const choices = allowed.length > 0 ? allowed : candidates;
+        
+        // Subjects behind pace whose peak window is open come first, then
+        // those whose window has passed, then those waiting for a later one.
+        // The subject just studied only goes again when it ranks higher.
+        const timingRank = { now: 0, passed: 1, later: 2 };
+        let best = null;
+        let bestRank = Infinity;
+        let bestDeficit = -Infinity;
+        choices.forEach(subject => {
+            const deficit = subject.targetHoursToday - (subject.hoursScheduledToday || 0);
+            const timing = deficit > 0 ? timingRank[this.getWindowTiming(subject, placementContext.startMinutes)] : 3;
+            const rank = timing * 2 + (subject.id === run.subjectId ? 1 : 0);
+            if (rank < bestRank || (rank === bestRank && deficit > bestDeficit)) {
+                best = subject;
+                bestRank = rank;
+                bestDeficit = deficit;
+            }
+        });
+        
+        return best;
+    }
+
+    // Subject of the last sessions in a list of slots and how many of them run in a row
+    getSubjectRun(slots) {
+        const sessions = slots.filter(slot => slot.type !== CONFIG.SESSION_TYPES.BREAK);
+        const subjectId = sessions[sessions.length - 1]?.subjectId ?? null;
+        let length = 0;
+        while (length < sessions.length && sessions[sessions.length - 1 - length].subjectId === subjectId) length++;
+        return { subjectId, length };
+    }
+
+    // Slots placed so far today with the fixed ones that have ended by a time, in time order
+    getDaySoFar(fixedSlots, daySlots, minutes) {
+        return [...fixedSlots.filter(slot => slot.endMinutes <= minutes), ...daySlots]
+            .sort((a, b) => a.startMinutes - b.startMinutes);
+    }
+
+    // Minutes of break still owed at a time to a done or pinned session that
+    // ended just before it with no break in between
+    getBreakOwed(daySoFar, fixedSlots, allocations, sessionSettings, minutes) {
+        const previous = daySoFar[daySoFar.length - 1];
+        if (!previous || previous.type === CONFIG.SESSION_TYPES.BREAK || !fixedSlots.includes(previous)) return 0;
+        
+        const subject = allocations.find(s => s.id === previous.subjectId) || this.getReviewSubject(previous);
+        return previous.endMinutes + rulesEngine.getBreakDuration(subject, sessionSettings.breakDuration) - minutes;
+    }
+
+    // Whether another session of a subject would make its run too long
+    isRunLimited(subjectId, run) {
+        return subjectId === run.subjectId && run.length >= CONFIG.SCHEDULING_RULES.MAX_CONSECUTIVE_SESSIONS;
+    }
+
+    // Whether a subject's peak window is open at a time, already over, or still to come
+    getWindowTiming(subject, minutes) {
+        const preferred = rulesEngine.getPreferredTimeSlots(subject, this.context);
+        if (!preferred || preferred.length !== 2 || minutes === undefined) return 'now';
+        
+        if (minutes < preferred[0] * 60) return 'later';
+        if (minutes >= preferred[1] * 60) return 'passed';
+        return 'now';
+    }
+
+    // When no subject behind pace is in its peak window, skip ahead to the first
+    // free start inside a later one that has room for a session. Once the day
+    // has begun, only waits shorter than the gaps the integrity check reports
+    // are taken; the rest of the day's hours must still fit after any wait.
+    getPreferredStart(todaysSubjects, currentTime, windows, remainingHours, sessionSettings, run) {
+        const behind = todaysSubjects.filter(subject =>
+            (subject.hoursScheduled || 0) < subject.hoursNeeded &&
+            subject.targetHoursToday - (subject.hoursScheduledToday || 0) > 0 &&
+            !this.isRunLimited(subject.id, run)
+        );
+        if (behind.some(subject => this.getWindowTiming(subject, currentTime) === 'now')) return currentTime;
+        
+        const starts = behind
+            .filter(subject => this.getWindowTiming(subject, currentTime) === 'later')
+            .map(subject => {
+                const [from, to] = rulesEngine.getPreferredTimeSlots(subject, this.context).map(hours => hours * 60);
+                const length = Math.min(rulesEngine.getOptimalSessionLength(subject, sessionSettings.sessionLength), remainingHours * 60);
+                const window = windows.find(([start, end]) => Math.max(start, from) < to && end - Math.max(start, from) >= length);
+                return window ? Math.max(window[0], from) : null;
+            })
+            .filter(start => start !== null);
+        if (starts.length === 0) return currentTime;
+        
+        const start = Math.min(...starts);
+        const freeBetween = (from, to) => windows.reduce((sum, [windowStart, windowEnd]) =>
+            sum + Math.max(0, Math.min(windowEnd, to) - Math.max(windowStart, from)), 0);
+        if (run.length > 0 && freeBetween(currentTime, start) >= CONFIG.INTEGRITY.MAX_GAP_MINUTES) return currentTime;
+        
+        // The remaining sessions and their breaks must still fit after the wait
+        const needed = remainingHours * 60 * (1 + sessionSettings.breakDuration / sessionSettings.sessionLength);
+        return freeBetween(start, Infinity) >= needed ? start : currentTime;
+    }
+
+    // Next topic in order whose prerequisites are fully scheduled
+    getNextTopic(subject) {
+        const remaining = (subject.topics || []).filter(topic =>
+            (this.topicMinutes[topic.id] || 0) < topic.hours * 60
+        );
+        if (remaining.length === 0) return null;
         
-        return availableSubjects.slice(startIdx, startIdx + subjectsPerDay);
+        const ready = remaining.find(topic =>
+            (topic.prerequisites || []).every(id => !remaining.some(other => other.id === id))
+        );
+        return ready || remaining[0];
+    }
+
+    // Topic a review item revisits
+    getReviewTopic(item) {
+        return item.topicId ? { id: item.topicId, name: item.topicName } : null;
+    }
+
+    // Subject details a review item was created from
+    getReviewSubject(item) {
+        return {
+            id: item.subjectId,
+            name: item.subjectName,
+            priority: item.priority,
+            difficulty: item.difficulty
+        };
     }
 
     // Create a study session slot
-    createSessionSlot(subject, startTimeMinutes, duration, dayIndex) {
+    createSessionSlot(subject, startTimeMinutes, duration, dayIndex, type = CONFIG.SESSION_TYPES.STUDY, topic = null) {
         const startTime = this.formatTime(startTimeMinutes);
         const endTime = this.formatTime(startTimeMinutes + duration);
         
-        // Determine session type
-        let type = CONFIG.SESSION_TYPES.STUDY;
-        const daysSince = this.context.daysSinceLastStudy[subject.id] || 0;
-        if (daysSince >= CONFIG.SCHEDULING_RULES.REVISION_FREQUENCY) {
-            type = CONFIG.SESSION_TYPES.REVISION;
-        }
-        
         return {
             id: `session_${subject.id}_${dayIndex}_${startTimeMinutes}`,
             type,
@@ -207,8 +808,12 @@ class SmartScheduler {
             subjectName: subject.name,
             priority: subject.priority,
             difficulty: subject.difficulty,
+            topicId: topic?.id || null,
+            topicName: topic?.name || null,
             startTime,
             endTime,
+            startMinutes: startTimeMinutes,
+            endMinutes: startTimeMinutes + duration,
             duration,
             completed: false,
             day: dayIndex + 1
@@ -216,28 +821,113 @@ class SmartScheduler {
     }
 
     // Create a break slot
-    createBreakSlot(startTimeMinutes, duration, breakType = 'regular') {
+    createBreakSlot(startTimeMinutes, duration, dayIndex, breakType = 'regular', label = 'Break') {
         const startTime = this.formatTime(startTimeMinutes);
         const endTime = this.formatTime(startTimeMinutes + duration);
         
-        let label = 'Break';
-        switch(breakType) {
-            case 'long': label = 'Long Break'; break;
-            case 'lunch': label = 'Lunch Break'; break;
-        }
+        if (breakType === 'long') label = 'Long Break';
         
         return {
-            id: `break_${startTimeMinutes}`,
+            id: `break_${dayIndex}_${startTimeMinutes}`,
             type: CONFIG.SESSION_TYPES.BREAK,
             subjectName: label,
             startTime,
             endTime,
+            startMinutes: startTimeMinutes,
+            endMinutes: startTimeMinutes + duration,
             duration,
             breakType,
-            day: this.currentDay + 1
+            day: dayIndex + 1
         };
     }
 
+    // Insert the next review of an item into an existing plan
+    scheduleReview(plan, item) {
+        this.removePendingReviews(plan, item.id);
+        
+        const place = this.findReviewPlace(plan, item);
+        if (!place) return null;
+        
+        const daySchedule = plan.schedule[place.dayIndex];
+        const slot = this.createSessionSlot(
+            this.getReviewSubject(item),
+            place.startMinutes,
+            CONFIG.SPACED_REPETITION.REVIEW_SESSION_LENGTH,
+            place.dayIndex,
+            CONFIG.SESSION_TYPES.REVISION,
+            this.getReviewTopic(item)
+        );
+        slot.reviewId = item.id;
+        slot.repetition = item.repetition;
+        
+        daySchedule.slots.push(slot);
+        daySchedule.slots.sort((a, b) => a.startMinutes - b.startMinutes);
+        this.updateDayTotals(daySchedule);
+        return slot;
+    }
+
+    // Day index and start of the first free gap, from the due date on, that takes
+    // a review under the focus limit; null when none does. Doesn't change the plan.
+    findReviewPlace(plan, item) {
+        const today = dateHelper.getToday();
+        const dueDate = item.dueDate < today ? today : item.dueDate;
+        const startIndex = plan.schedule.findIndex(day => day.isoDate >= dueDate);
+        if (startIndex === -1) return null; // Falls after the plan ends
+        
+        const reviewLength = CONFIG.SPACED_REPETITION.REVIEW_SESSION_LENGTH;
+        const wellbeing = breakPlanner.getSettings(plan.wellbeing);
+        for (let dayIndex = startIndex; dayIndex < plan.schedule.length; dayIndex++) {
+            const daySchedule = plan.schedule[dayIndex];
+            if ((daySchedule.totalStudyHours || 0) * 60 + reviewLength > wellbeing.maxFocusHours * 60) continue;
+            
+            const startMinutes = this.findFreeGap(daySchedule, plan.availability, reviewLength, wellbeing);
+            if (startMinutes !== null) return { dayIndex, startMinutes };
+        }
+        
+        return null;
+    }
+
+    // Remove revision slots of a review item that haven't been done yet;
+    // returns the indexes of the days that changed
+    removePendingReviews(plan, reviewId, keepSlotId = null) {
+        const changed = [];
+        plan.schedule.forEach((daySchedule, dayIndex) => {
+            const before = daySchedule.slots.length;
+            daySchedule.slots = daySchedule.slots.filter(slot =>
+                slot.reviewId !== reviewId || slot.completed || slot.id === keepSlotId
+            );
+            if (daySchedule.slots.length !== before) {
+                this.updateDayTotals(daySchedule);
+                changed.push(dayIndex);
+            }
+        });
+        return changed;
+    }
+
+    // Find the start of the first free gap of a given length in a day
+    findFreeGap(daySchedule, availability, length, wellbeing) {
+        const windows = breakPlanner.limitWindows(
+            availabilityManager.getFreeWindows(availability, daySchedule.isoDate),
+            wellbeing,
+            daySchedule.isoDate
+        );
+        const occupied = daySchedule.slots
+            .filter(slot => slot.startMinutes !== undefined)
+            .map(slot => [slot.startMinutes, slot.endMinutes])
+            .sort((a, b) => a[0] - b[0]);
+        
+        const gap = availabilityManager.subtractBlocks(windows, occupied)
+            .find(([start, end]) => end - start >= length);
+        return gap ? gap[0] : null;
+    }
+
+    // Recalculate session count and study hours for a day
+    updateDayTotals(daySchedule) {
+        const sessions = daySchedule.slots.filter(s => s.type === CONFIG.SESSION_TYPES.STUDY || s.type === CONFIG.SESSION_TYPES.REVISION);
+        daySchedule.totalSessions = sessions.length;
+        daySchedule.totalStudyHours = sessions.reduce((sum, s) => sum + s.duration, 0) / 60;
+    }
+
     // Update context after a day's schedule
     updateContextAfterDay(dayIndex, daySchedule) {
         // Update days since last study for each subject
@@ -260,7 +950,7 @@ class SmartScheduler {
     formatTime(minutes) {
         const hours = Math.floor(minutes / 60);
         const mins = minutes % 60;
-        const period = hours >= 12 ? 'PM' : 'AM';
+        const period = hours % 24 >= 12 ? 'PM' : 'AM'; // A slot ending at 1440 ends at midnight
         const displayHours = hours % 12 || 12;
         return `${displayHours}:${mins.toString().padStart(2, '0')} ${period}`;
     }
@@ -278,6 +968,16 @@ class SmartScheduler {
         });
     }
 
+    // Calculate ISO date (YYYY-MM-DD) for a day index
+    getIsoDate(dayIndex) {
+        return dateHelper.addDays(this.startDate, dayIndex);
+    }
+
+    // Calculate day index for an ISO date relative to the plan start
+    getDayIndexForDate(isoDate) {
+        return dateHelper.daysBetween(this.startDate, isoDate);
+    }
+
     // Generate summary statistics
     generateSummary(allSlots, subjects, totalDays) {
         const studySlots = allSlots.filter(s => s.type === CONFIG.SESSION_TYPES.STUDY || s.type === CONFIG.SESSION_TYPES.REVISION);
@@ -344,7 +1044,7 @@ class SmartScheduler {
     }
 
     // Export schedule as various formats
-    exportSchedule(format = 'json') {
+    exportSchedule(format = 'json', options = {}) {
         switch(format) {
             case 'json':
                 return JSON.stringify(this.schedule, null, 2);
@@ -394,6 +1094,9 @@ class SmartScheduler {
                 
                 return text;
                 
+            case 'ics':
+                return icalExporter.buildCalendar(this.schedule, options);
+                
             default:
                 return this.schedule;
         }
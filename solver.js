@@ -0,0 +1,407 @@
+import CONFIG from './config.js';
+import rulesEngine from './rules.js';
+
+class ConstraintSolver {
+    // Plan one day's sessions: hard constraints are never broken and soft
+    // ones are kept low by a local search over the cost function
+    solveDay({ dayIndex, windows, subjects, reviews = [], fixedSessions = [], sessionSettings, constraints }) {
+        let fixed = reviews.map(review => ({
+            subject: review.subject,
+            length: CONFIG.SPACED_REPETITION.REVIEW_SESSION_LENGTH,
+            breakDuration: rulesEngine.getBreakDuration(review.subject, sessionSettings.breakDuration),
+            review: review.item
+        }));
+        const fixedMinutes = fixed.reduce((sum, item) => sum + item.length, 0);
+        const budget = sessionSettings.dailyHours * 60 - fixedMinutes;
+        const focusLimit = (sessionSettings.focusMinutes ?? Infinity) - fixedMinutes;
+        let flexible = this.buildDemand(subjects, sessionSettings, constraints, budget, focusLimit);
+        
+        const context = { dayIndex, windows, constraints, fixedSessions };
+        
+        // A hill-climb can stop short of a better order, so climb from a few
+        // starting orders and keep the best
+        let climbed = null;
+        this.getStartingOrders(flexible, constraints).forEach(order => {
+            const result = this.climb(fixed, order, context);
+            if (!climbed || this.isBetter(result.best, climbed.best)) climbed = result;
+        });
+        flexible = climbed.flexible;
+        let best = climbed.best;
+        
+        // Drop the offending session until no hard constraint is broken; a
+        // review dropped here stays queued for the next day
+        const dropped = [];
+        while (best.hardViolations.length > 0) {
+            const offending = best.hardViolations[0].item;
+            fixed = fixed.filter(item => item !== offending);
+            flexible = flexible.filter(item => item !== offending);
+            dropped.push(offending);
+            best = this.evaluate([...fixed, ...flexible], context);
+        }
+        
+        return {
+            placements: best.placements,
+            cost: this.calculateCost(best.placements, [...dropped, ...best.dropped], context),
+            sacrificed: this.describeSacrifices(best.placements, dropped, best.dropped, context)
+        };
+    }
+
+    // Orders to start the search from: as demanded, then by preferred window
+    // start, earliest first and latest first
+    getStartingOrders(flexible, constraints) {
+        const preferredStart = item => constraints.timeSlots[item.subject.id]?.[0] ?? 0;
+        return [
+            flexible,
+            [...flexible].sort((a, b) => preferredStart(a) - preferredStart(b)),
+            [...flexible].sort((a, b) => preferredStart(b) - preferredStart(a))
+        ];
+    }
+
+    // Hill-climb over the flexible sessions until no neighbour scores better
+    climb(fixed, flexible, context) {
+        let best = this.evaluate([...fixed, ...flexible], context);
+        for (let iteration = 0; iteration < CONFIG.SOLVER.MAX_ITERATIONS; iteration++) {
+            const improved = this.findBetterNeighbour(fixed, flexible, best, context);
+            if (!improved) break;
+            flexible = improved.flexible;
+            best = improved.result;
+        }
+        return { flexible, best };
+    }
+
+    // Decide which sessions the day needs, respecting per-subject daily limits.
+    // The target budget may be overshot by the last session; the focus limit may not.
+    buildDemand(subjects, sessionSettings, constraints, budget, focusLimit = Infinity) {
+        const items = [];
+        const counts = {};
+        const minutesToday = {};
+        let minutes = 0;
+        
+        while (minutes < budget && focusLimit - minutes >= CONFIG.AVAILABILITY.MIN_SESSION_LENGTH) {
+            const candidates = subjects.filter(subject => {
+                const limit = constraints.subjectLimits[subject.id]?.maxSessionsPerDay ?? Infinity;
+                const scheduledMinutes = (subject.hoursScheduled || 0) * 60 + (minutesToday[subject.id] || 0);
+                return (counts[subject.id] || 0) < limit && scheduledMinutes < subject.hoursNeeded * 60;
+            });
+            if (candidates.length === 0) break;
+            
+            // Furthest behind its pace for today first
+            const subject = candidates.reduce((best, candidate) => {
+                const deficit = candidate.targetHoursToday * 60 - (minutesToday[candidate.id] || 0);
+                const bestDeficit = best.targetHoursToday * 60 - (minutesToday[best.id] || 0);
+                return deficit > bestDeficit ? candidate : best;
+            });
+            
+            const length = Math.min(rulesEngine.getOptimalSessionLength(subject, sessionSettings.sessionLength), focusLimit - minutes);
+            items.push({
+                subject,
+                length,
+                breakDuration: rulesEngine.getBreakDuration(subject, sessionSettings.breakDuration)
+            });
+            counts[subject.id] = (counts[subject.id] || 0) + 1;
+            minutesToday[subject.id] = (minutesToday[subject.id] || 0) + length;
+            minutes += length;
+        }
+        
+        return items;
+    }
+
+    // Try swaps, moves and idle gaps; return the first neighbour that scores better
+    findBetterNeighbour(fixed, flexible, best, context) {
+        for (const candidate of this.getNeighbours(flexible, context.constraints)) {
+            const result = this.evaluate([...fixed, ...candidate], context);
+            if (this.isBetter(result, best)) {
+                return { flexible: candidate, result };
+            }
+        }
+        return null;
+    }
+
+    // Neighbouring sequences: swap two items, move one forward or back, or
+    // add/remove an idle gap so a session can wait for its preferred window,
+    // either a step at a time or until the window opens
+    *getNeighbours(flexible, constraints) {
+        for (let i = 0; i < flexible.length; i++) {
+            for (let j = i + 1; j < flexible.length; j++) {
+                const swapped = [...flexible];
+                [swapped[i], swapped[j]] = [swapped[j], swapped[i]];
+                yield swapped;
+                
+                const moved = [...flexible];
+                moved.splice(j, 0, moved.splice(i, 1)[0]);
+                yield moved;
+                
+                const movedBack = [...flexible];
+                movedBack.splice(i, 0, movedBack.splice(j, 1)[0]);
+                yield movedBack;
+            }
+        }
+        
+        for (let i = 0; i < flexible.length; i++) {
+            if (flexible[i].idle) {
+                yield flexible.filter((item, index) => index !== i);
+            } else {
+                const withGap = [...flexible];
+                withGap.splice(i, 0, { idle: true, length: CONFIG.SOLVER.IDLE_STEP });
+                yield withGap;
+                
+                const preferred = constraints.timeSlots[flexible[i].subject.id];
+                if (preferred?.length === 2) {
+                    const waiting = [...flexible];
+                    waiting.splice(i, 0, { idle: true, until: preferred[0] * 60 });
+                    yield waiting;
+                }
+            }
+        }
+    }
+
+    // Fewer hard violations always wins, then lower soft cost
+    isBetter(result, best) {
+        if (result.hardViolations.length !== best.hardViolations.length) {
+            return result.hardViolations.length < best.hardViolations.length;
+        }
+        return result.cost.total < best.cost.total - 0.001;
+    }
+
+    // Lay out a sequence and score it
+    evaluate(sequence, context) {
+        const { placements, dropped } = this.layout(sequence, context.windows);
+        return {
+            placements,
+            dropped,
+            hardViolations: this.checkHardConstraints(placements, context),
+            cost: this.calculateCost(placements, dropped, context)
+        };
+    }
+
+    // Place sessions in order through the free windows, with breaks after each
+    layout(sequence, windows) {
+        const placements = [];
+        const dropped = [];
+        let windowIndex = 0;
+        let time = windows[0]?.[0];
+        let sessionCount = 0;
+        
+        sequence.forEach(item => {
+            // Idle gaps only push the clock forward, a step within the window or
+            // on to a given time
+            if (item.idle && item.until !== undefined) {
+                while (windowIndex < windows.length && windows[windowIndex][1] <= item.until) {
+                    windowIndex++;
+                    time = windows[windowIndex]?.[0];
+                }
+                if (windowIndex < windows.length) time = Math.max(time, item.until);
+                return;
+            }
+            if (item.idle) {
+                if (windowIndex < windows.length) time = Math.min(time + item.length, windows[windowIndex][1]);
+                return;
+            }
+            
+            while (windowIndex < windows.length && time + item.length > windows[windowIndex][1]) {
+                windowIndex++;
+                time = windows[windowIndex]?.[0];
+            }
+            if (windowIndex >= windows.length) {
+                dropped.push(item);
+                return;
+            }
+            
+            placements.push({ item, start: time, end: time + item.length });
+            time += item.length;
+            sessionCount++;
+            
+            const longBreak = rulesEngine.needsLongBreak(sessionCount, CONFIG.SCHEDULING_RULES.MAX_SESSIONS_WITHOUT_LONG_BREAK);
+            const breakLength = Math.min(
+                longBreak ? CONFIG.SCHEDULING_RULES.LONG_BREAK_DURATION : item.breakDuration,
+                windows[windowIndex][1] - time
+            );
+            if (longBreak) sessionCount = 0;
+            if (breakLength > 0) {
+                placements.push({ breakType: longBreak ? 'long' : 'regular', start: time, end: time + breakLength });
+                time += breakLength;
+            }
+        });
+        
+        // A day doesn't end on a break
+        while (placements.length > 0 && !placements[placements.length - 1].item) {
+            placements.pop();
+        }
+        
+        return { placements, dropped };
+    }
+
+    // Hard constraints: daily session limits, minimum gap between sessions of
+    // the same subject and any rule vetoes
+    checkHardConstraints(placements, context) {
+        const violations = [];
+        const counts = {};
+        const lastEnd = {};
+        const daySlots = [];
+        let previousSession = null;
+        let nextFixed = 0;
+        
+        placements.forEach(placement => {
+            // Sessions done or pinned earlier count as if placed
+            while (nextFixed < context.fixedSessions.length && context.fixedSessions[nextFixed].endMinutes <= placement.start) {
+                const slot = context.fixedSessions[nextFixed++];
+                if (slot.type === CONFIG.SESSION_TYPES.STUDY) counts[slot.subjectId] = (counts[slot.subjectId] || 0) + 1;
+                lastEnd[slot.subjectId] = slot.endMinutes;
+                previousSession = slot;
+                daySlots.push(slot);
+            }
+            
+            if (!placement.item) {
+                daySlots.push({
+                    type: CONFIG.SESSION_TYPES.BREAK,
+                    subjectName: 'Break',
+                    startMinutes: placement.start,
+                    endMinutes: placement.end
+                });
+                return;
+            }
+            
+            const { subject, review } = placement.item;
+            const limits = context.constraints.subjectLimits[subject.id];
+            
+            if (!review) {
+                counts[subject.id] = (counts[subject.id] || 0) + 1;
+                if (limits && counts[subject.id] > limits.maxSessionsPerDay) {
+                    violations.push({ item: placement.item, reason: `${subject.name}: more than ${limits.maxSessionsPerDay} sessions` });
+                }
+            }
+            
+            if (limits && lastEnd[subject.id] !== undefined && placement.start - lastEnd[subject.id] < limits.minBreakBetween) {
+                violations.push({ item: placement.item, reason: `${subject.name}: less than ${limits.minBreakBetween} min between sessions` });
+            }
+            
+            const veto = rulesEngine.checkHardConstraints(subject, {
+                previousSession,
+                daySlots: [...daySlots],
+                dayIndex: context.dayIndex,
+                startMinutes: placement.start
+            });
+            if (!veto.allowed) {
+                violations.push({ item: placement.item, reason: veto.reasons.join(', ') });
+            }
+            
+            lastEnd[subject.id] = placement.end;
+            previousSession = {
+                type: review ? CONFIG.SESSION_TYPES.REVISION : CONFIG.SESSION_TYPES.STUDY,
+                subjectId: subject.id,
+                subjectName: subject.name,
+                priority: subject.priority,
+                difficulty: subject.difficulty,
+                startMinutes: placement.start,
+                endMinutes: placement.end
+            };
+            daySlots.push(previousSession);
+        });
+        
+        return violations;
+    }
+
+    // Soft cost: time outside preferred windows, back-to-back repeats and
+    // hours that didn't fit
+    calculateCost(placements, dropped, context) {
+        const weights = CONFIG.SOLVER.SOFT_WEIGHTS;
+        const cost = { timePreference: 0, consecutive: 0, unscheduled: 0, total: 0 };
+        
+        const sessions = placements.filter(placement => placement.item);
+        sessions.forEach((placement, index) => {
+            const { subject } = placement.item;
+            const outside = this.minutesOutsidePreferred(placement, context.constraints.timeSlots[subject.id]);
+            cost.timePreference += outside / 60 * (CONFIG.PRIORITY_WEIGHTS[subject.priority] || 1) * weights.TIME_PREFERENCE;
+            
+            const previousId = this.getPreviousSubjectId(sessions, index, context);
+            const avoidAfter = context.constraints.preferences[subject.id]?.avoidAfter;
+            if (previousId === subject.id || (previousId === null && avoidAfter === subject.id)) {
+                cost.consecutive += weights.CONSECUTIVE;
+            }
+        });
+        
+        cost.unscheduled = dropped.reduce((sum, item) => sum + item.length, 0) / 60 * weights.UNSCHEDULED;
+        
+        Object.keys(cost).forEach(key => {
+            cost[key] = parseFloat(cost[key].toFixed(2));
+        });
+        cost.total = parseFloat((cost.timePreference + cost.consecutive + cost.unscheduled).toFixed(2));
+        return cost;
+    }
+
+    // Subject of the session just before a placement, done or pinned ones included
+    getPreviousSubjectId(sessions, index, context) {
+        const previous = sessions[index - 1];
+        const fixed = context.fixedSessions
+            .filter(slot => slot.endMinutes <= sessions[index].start && (!previous || slot.startMinutes >= previous.end))
+            .pop();
+        return fixed?.subjectId ?? previous?.item.subject.id ?? null;
+    }
+
+    // Minutes of a placement outside a [fromHour, toHour] window
+    minutesOutsidePreferred(placement, preferred) {
+        if (!preferred || preferred.length !== 2) return 0;
+        
+        const [from, to] = preferred;
+        const overlap = Math.max(0, Math.min(placement.end, to * 60) - Math.max(placement.start, from * 60));
+        return (placement.end - placement.start) - overlap;
+    }
+
+    // Describe the soft constraints the final layout gives up, telling sessions
+    // dropped for a hard constraint from those the free time had no room for
+    describeSacrifices(placements, dropped, overflow, context) {
+        const sacrificed = [];
+        const sessions = placements.filter(placement => placement.item);
+        
+        sessions.forEach((placement, index) => {
+            const { subject } = placement.item;
+            const preferred = context.constraints.timeSlots[subject.id];
+            if (this.minutesOutsidePreferred(placement, preferred) > 0) {
+                sacrificed.push({
+                    type: 'time_preference',
+                    day: context.dayIndex + 1,
+                    message: `${subject.name} at ${this.formatMinutes(placement.start)} is outside its preferred ${preferred[0]}:00-${preferred[1]}:00`
+                });
+            }
+            
+            if (this.getPreviousSubjectId(sessions, index, context) === subject.id) {
+                sacrificed.push({
+                    type: 'consecutive_sessions',
+                    day: context.dayIndex + 1,
+                    message: `${subject.name} runs twice in a row at ${this.formatMinutes(placement.start)}`
+                });
+            }
+        });
+        
+        dropped.forEach(item => {
+            sacrificed.push({
+                type: 'unscheduled',
+                day: context.dayIndex + 1,
+                message: item.review
+                    ? `${item.subject.name} review didn't fit without breaking a hard constraint and waits for the next day`
+                    : `${item.length} min of ${item.subject.name} didn't fit without breaking a hard constraint`
+            });
+        });
+        
+        overflow.forEach(item => {
+            sacrificed.push({
+                type: 'unscheduled',
+                day: context.dayIndex + 1,
+                message: item.review
+                    ? `${item.subject.name} review didn't fit in the free time and waits for the next day`
+                    : `${item.length} min of ${item.subject.name} didn't fit in the free time`
+            });
+        });
+        
+        return sacrificed;
+    }
+
+    // Format minutes as HH:MM
+    formatMinutes(minutes) {
+        return `${Math.floor(minutes / 60)}:${(minutes % 60).toString().padStart(2, '0')}`;
+    }
+}
+
+// Create and export singleton instance
+const constraintSolver = new ConstraintSolver();
+export default constraintSolver;
\ No newline at end of file
@@ -1,10 +1,309 @@
 import CONFIG from './config.js';
+import dateHelper from './dates.js';
+import indexedDBAdapter from './indexeddb.js';
+import integrityChecker from './integrity.js';
+import progressTracker from './progress.js';
+import schemaManager from './schema.js';
+
+// Persistence of plans, progress and preferences
+
+const PLAN_KINDS = ['plan', 'progress', 'preferences'];
+const WORKSPACE_SCOPE = 'workspace';
+
+// Backend used when IndexedDB isn't available. An adapter loads, saves and removes
+// documents by kind within a scope (a plan id); partial writes are optional.
+class LocalStorageAdapter {
+    constructor() {
+        this.name = 'localStorage';
+        this.keys = {
+            plan: CONFIG.STORAGE_KEYS.STUDY_PLAN,
+            progress: CONFIG.STORAGE_KEYS.PROGRESS,
+            preferences: CONFIG.STORAGE_KEYS.USER_PREFS,
+            workspace: CONFIG.STORAGE_KEYS.WORKSPACE,
+            history: CONFIG.STORAGE_KEYS.HISTORY
+        };
+    }
+
+    // localStorage is always ready
+    async open() {
+        return this;
+    }
+
+    // Key of a document; the default plan keeps the original unsuffixed keys
+    getKey(kind, scope) {
+        if (kind === 'workspace' || scope === CONFIG.DEFAULT_PLAN_ID) return this.keys[kind];
+        return `${this.keys[kind]}_${scope}`;
+    }
+
+    // Load a document from its key
+    async load(kind, scope) {
+        const data = localStorage.getItem(this.getKey(kind, scope));
+        return data ? JSON.parse(data) : null;
+    }
+
+    // Save a document as one JSON string
+    async save(kind, data, scope) {
+        localStorage.setItem(this.getKey(kind, scope), JSON.stringify(data));
+    }
+
+    // Remove a document
+    async remove(kind, scope) {
+        localStorage.removeItem(this.getKey(kind, scope));
+    }
+
+    // Remove all documents of a plan
+    async clear(scope) {
+        PLAN_KINDS.forEach(kind => localStorage.removeItem(this.getKey(kind, scope)));
+    }
+
+    // Approximate bytes used against the usual 5MB quota
+    async estimate() {
+        let total = 0;
+        for (let key in localStorage) {
+            if (localStorage.hasOwnProperty(key)) {
+                total += localStorage[key].length * 2; // Approximate bytes
+            }
+        }
+        return { bytes: total, quota: 5 * 1024 * 1024 };
+    }
+}
 
 class StorageManager {
     constructor() {
-        this.planKey = CONFIG.STORAGE_KEYS.STUDY_PLAN;
-        this.prefsKey = CONFIG.STORAGE_KEYS.USER_PREFS;
-        this.progressKey = CONFIG.STORAGE_KEYS.PROGRESS;
+        this.fallbackAdapter = new LocalStorageAdapter();
+        this.adapter = this.fallbackAdapter;
+        this.documents = { plan: null, progress: null, preferences: null, history: null };
+        this.workspace = this.createWorkspace();
+        this.activePlanId = CONFIG.DEFAULT_PLAN_ID;
+        this.writeQueue = Promise.resolve();
+        this.changes = {};
+    }
+
+    // Open the best available backend, then load the plan list and the active plan.
+    // Data still in localStorage moves to IndexedDB the first time it opens.
+    async init() {
+        try {
+            this.adapter = await indexedDBAdapter.open();
+            await this.migrateFromFallback();
+        } catch (error) {
+            console.warn('IndexedDB unavailable, using localStorage:', error);
+            this.adapter = this.fallbackAdapter;
+        }
+        
+        try {
+            this.workspace = (await this.adapter.load('workspace', WORKSPACE_SCOPE)) || this.createWorkspace();
+        } catch (error) {
+            console.error('Error loading plan list:', error);
+            this.workspace = this.createWorkspace();
+        }
+        if (!this.getPlanEntry(this.workspace.activePlanId)) {
+            this.workspace.activePlanId = this.workspace.plans[0]?.id || CONFIG.DEFAULT_PLAN_ID;
+        }
+        this.activePlanId = this.workspace.activePlanId;
+        await this.loadDocuments();
+        
+        console.log(`Storage ready (${this.adapter.name})`);
+        return this.adapter.name;
+    }
+
+    // Plan list with the single plan that existed before named plans
+    createWorkspace() {
+        const now = new Date().toISOString();
+        return {
+            activePlanId: CONFIG.DEFAULT_PLAN_ID,
+            plans: [{ id: CONFIG.DEFAULT_PLAN_ID, name: CONFIG.DEFAULT_PLAN_NAME, createdAt: now, updatedAt: now, archived: false }]
+        };
+    }
+
+    // Copy documents from localStorage into IndexedDB, then drop the old keys
+    async migrateFromFallback() {
+        const workspace = await this.fallbackAdapter.load('workspace', WORKSPACE_SCOPE).catch(() => null);
+        const scopes = workspace ? workspace.plans.map(plan => plan.id) : [CONFIG.DEFAULT_PLAN_ID];
+        
+        for (const scope of scopes) {
+            for (const kind of [...PLAN_KINDS, 'history']) {
+                const legacy = await this.fallbackAdapter.load(kind, scope).catch(() => null);
+                if (!legacy) continue;
+                
+                if (!(await this.adapter.load(kind, scope))) {
+                    await this.adapter.save(kind, legacy, scope);
+                }
+                await this.fallbackAdapter.remove(kind, scope);
+            }
+        }
+        
+        if (workspace) {
+            if (!(await this.adapter.load('workspace', WORKSPACE_SCOPE))) {
+                await this.adapter.save('workspace', workspace, WORKSPACE_SCOPE);
+            }
+            await this.fallbackAdapter.remove('workspace', WORKSPACE_SCOPE);
+        }
+    }
+
+    // Load the active plan's documents into memory
+    async loadDocuments() {
+        for (const kind of PLAN_KINDS) {
+            try {
+                this.documents[kind] = this.upgradeDocument(kind, await this.adapter.load(kind, this.activePlanId));
+            } catch (error) {
+                console.error(`Error loading ${kind}:`, error);
+                this.documents[kind] = null;
+            }
+        }
+        
+        // Snapshots hold documents as they were saved; they are upgraded when restored
+        try {
+            this.documents.history = await this.adapter.load('history', this.activePlanId);
+        } catch (error) {
+            console.error('Error loading history:', error);
+            this.documents.history = null;
+        }
+    }
+
+    // Keep a JSON copy of a document in memory and queue it for the backend
+    writeDocument(kind, data) {
+        const scope = this.activePlanId;
+        data = data ? JSON.parse(JSON.stringify(data)) : null;
+        this.documents[kind] = data;
+        this.markChanged(kind);
+        this.queueWrite(() => data ? this.adapter.save(kind, data, scope) : this.adapter.remove(kind, scope), kind);
+        
+        if (kind === 'plan') this.touchPlan(scope);
+        return true;
+    }
+
+    // Queue a partial write of a document already changed in memory, or the
+    // whole document when the backend can only save documents
+    writePart(kind, method, ...args) {
+        const scope = this.activePlanId;
+        const data = this.documents[kind];
+        this.queueWrite(() => this.adapter[method] ? this.adapter[method](...args, scope) : this.adapter.save(kind, data, scope), kind);
+    }
+
+    // Note that a document changed, or only some of the plan's days
+    markChanged(kind, days = null) {
+        if (days && this.changes[kind] !== true) {
+            this.changes[kind] = new Set([...(this.changes[kind] || []), ...days]);
+        } else {
+            this.changes[kind] = true;
+        }
+    }
+
+    // What changed since the last call: { kind: true } or { plan: Set of day indexes }
+    takeChanges() {
+        const changes = this.changes;
+        this.changes = {};
+        return changes;
+    }
+
+    // Run a backend write after the ones already queued
+    queueWrite(write, label) {
+        this.writeQueue = this.writeQueue
+            .then(write)
+            .catch(error => console.error(`Error saving ${label}:`, error));
+        return this.writeQueue;
+    }
+
+    // Read a copy of a document so callers can't change the stored one
+    readDocument(kind) {
+        const data = this.documents[kind];
+        return data ? structuredClone(data) : null;
+    }
+
+    // Wait for queued writes to reach the backend
+    flush() {
+        return this.writeQueue;
+    }
+
+    // Get all named plans, archived ones included
+    getPlans() {
+        return structuredClone(this.workspace.plans);
+    }
+
+    // Get the list entry of a plan
+    getPlanEntry(planId) {
+        return this.workspace.plans.find(plan => plan.id === planId) || null;
+    }
+
+    // Get the id of the plan being worked on
+    getActivePlanId() {
+        return this.activePlanId;
+    }
+
+    // Create an empty plan, or a copy of an existing one
+    async createPlan(name, sourcePlanId = null) {
+        const now = new Date().toISOString();
+        const entry = {
+            id: `plan_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name,
+            createdAt: now,
+            updatedAt: now,
+            archived: false
+        };
+        
+        if (sourcePlanId) {
+            await this.flush();
+            for (const kind of PLAN_KINDS) {
+                const data = await this.adapter.load(kind, sourcePlanId);
+                if (data) await this.queueWrite(() => this.adapter.save(kind, data, entry.id), kind);
+            }
+        }
+        
+        this.workspace.plans.push(entry);
+        this.saveWorkspace();
+        return entry;
+    }
+
+    // Copy a plan with its subjects, preferences and progress
+    duplicatePlan(planId, name) {
+        return this.createPlan(name, planId);
+    }
+
+    // Rename a plan
+    renamePlan(planId, name) {
+        const entry = this.getPlanEntry(planId);
+        if (!entry) return false;
+        
+        entry.name = name;
+        this.saveWorkspace();
+        return true;
+    }
+
+    // Archive or restore a plan
+    setPlanArchived(planId, archived) {
+        const entry = this.getPlanEntry(planId);
+        if (!entry) return false;
+        
+        entry.archived = archived;
+        this.saveWorkspace();
+        return true;
+    }
+
+    // Make another plan active and load its documents
+    async switchPlan(planId) {
+        if (!this.getPlanEntry(planId)) return false;
+        
+        await this.flush();
+        this.activePlanId = planId;
+        this.workspace.activePlanId = planId;
+        this.saveWorkspace();
+        await this.loadDocuments();
+        return true;
+    }
+
+    // Record when a plan's schedule last changed
+    touchPlan(planId) {
+        const entry = this.getPlanEntry(planId);
+        if (!entry) return;
+        
+        entry.updatedAt = new Date().toISOString();
+        this.saveWorkspace();
+    }
+
+    // Persist the plan list
+    saveWorkspace() {
+        const workspace = structuredClone(this.workspace);
+        this.queueWrite(() => this.adapter.save('workspace', workspace, WORKSPACE_SCOPE), 'plan list');
     }
 
     // Save complete study plan
@@ -12,155 +311,278 @@ class StorageManager {
         const planData = {
             ...plan,
             savedAt: new Date().toISOString(),
-            version: '1.0'
+            version: CONFIG.SCHEMA_VERSION
         };
         
-        localStorage.setItem(this.planKey, JSON.stringify(planData));
-        console.log('Plan saved to localStorage');
+        return this.writeDocument('plan', planData);
+    }
+
+    // Save only some days of the plan, after a change that touched nothing else
+    savePlanDays(plan, dayIndexes) {
+        const stored = this.documents.plan;
+        if (!stored || stored.schedule.length !== plan.schedule.length) return this.savePlan(plan);
+        
+        return this.writePlanDays(Object.fromEntries(dayIndexes.map(index => [index, plan.schedule[index]])));
+    }
+
+    // Replace days of the stored plan ({ dayIndex: day }) and write just those
+    writePlanDays(days) {
+        const stored = this.documents.plan;
+        Object.entries(days).forEach(([index, day]) => {
+            stored.schedule[index] = JSON.parse(JSON.stringify(day));
+            this.writePart('plan', 'savePlanDay', Number(index), stored.schedule[index]);
+        });
+        this.markChanged('plan', Object.keys(days).map(Number));
+        this.touchPlan(this.activePlanId);
         return true;
     }
 
-    // Load study plan
+    // Copy of one day of the stored plan, without completions replayed
+    loadPlanDay(index) {
+        const day = this.documents.plan?.schedule[index];
+        return day ? structuredClone(day) : null;
+    }
+
+    // Load study plan with its completions replayed from the progress events
     loadPlan() {
-        const planData = localStorage.getItem(this.planKey);
-        if (!planData) return null;
-        
-        try {
-            return JSON.parse(planData);
-        } catch (error) {
-            console.error('Error loading plan:', error);
-            return null;
-        }
+        return progressTracker.replay(this.readDocument('plan'), this.documents.progress);
     }
 
     // Save user progress
     saveProgress(progress) {
         const progressData = {
             ...progress,
-            lastUpdated: new Date().toISOString()
+            lastUpdated: new Date().toISOString(),
+            version: CONFIG.SCHEMA_VERSION
         };
         
-        localStorage.setItem(this.progressKey, JSON.stringify(progressData));
-        return true;
+        return this.writeDocument('progress', progressData);
     }
 
     // Load user progress
     loadProgress() {
-        const progressData = localStorage.getItem(this.progressKey);
-        if (!progressData) return null;
+        return this.readDocument('progress');
+    }
+
+    // Save user preferences and subjects
+    savePreferences(prefs) {
+        const prefsData = {
+            ...prefs,
+            version: CONFIG.SCHEMA_VERSION
+        };
         
-        try {
-            return JSON.parse(progressData);
-        } catch (error) {
-            console.error('Error loading progress:', error);
+        return this.writeDocument('preferences', prefsData);
+    }
+
+    // Load user preferences and subjects
+    loadPreferences() {
+        return this.readDocument('preferences');
+    }
+
+    // Replace plan documents, or days of the plan, with a saved state, e.g. from
+    // a history snapshot; documents the state doesn't hold are left alone
+    replaceDocuments(state) {
+        PLAN_KINDS
+            .filter(kind => kind in state)
+            .forEach(kind => this.writeDocument(kind, this.upgradeDocument(kind, state[kind])));
+        if (state.planDays && this.documents.plan) this.writePlanDays(state.planDays);
+        return true;
+    }
+
+    // Save the active plan's history. Snapshots are not changed once taken, so
+    // the document is kept as is instead of copied. Resolves to false when the
+    // backend couldn't store it, e.g. because storage is full.
+    saveHistory(history) {
+        const scope = this.activePlanId;
+        this.documents.history = history;
+        return this.queueWrite(() => this.adapter.save('history', history, scope).then(() => true), 'history')
+            .then(saved => saved === true);
+    }
+
+    // Load the active plan's history
+    loadHistory() {
+        return this.documents.history;
+    }
+
+    // Migrate a stored document to the current schema; invalid documents load as null
+    upgradeDocument(kind, data) {
+        if (!data) return null;
+        
+        const { data: upgraded, errors } = schemaManager.upgrade(kind, data);
+        if (errors.length > 0) {
+            console.error(`Ignoring saved ${kind}:`, errors);
             return null;
         }
+        return upgraded;
     }
 
-    // Save session completion
-    saveSessionCompletion(sessionId, completed = true) {
-        let progress = this.loadProgress() || { completedSessions: {} };
+    // Save session completion with its log entry (actual minutes, start/end times, note).
+    // Only that session's event is written.
+    saveSessionCompletion(sessionId, completed = true, logEntry = null) {
+        const progress = this.getProgressDocument();
         
         if (completed) {
             progress.completedSessions[sessionId] = new Date().toISOString();
+            if (logEntry) {
+                progress.sessionLog[sessionId] = { ...logEntry, loggedAt: new Date().toISOString() };
+            }
         } else {
             delete progress.completedSessions[sessionId];
+            delete progress.sessionLog[sessionId];
         }
         
-        return this.saveProgress(progress);
+        const { completedSessions, sessionLog, ...meta } = progress;
+        this.writePart('progress', 'saveProgressEvent', sessionId, {
+            completedAt: completedSessions[sessionId] || null,
+            log: sessionLog[sessionId] || null
+        }, meta);
+        this.markChanged('progress');
+        return true;
     }
 
-    // Get completion statistics
-    getCompletionStats() {
+    // The stored progress document, created when there is none, for changes made in place
+    getProgressDocument() {
+        const progress = this.documents.progress || (this.documents.progress = { completedSessions: {} });
+        progress.sessionLog = progress.sessionLog || {};
+        progress.lastUpdated = new Date().toISOString();
+        progress.version = CONFIG.SCHEMA_VERSION;
+        return progress;
+    }
+
+    // Re-key progress after a plan was regenerated: moved sessions keep their
+    // completion and log. Sessions no longer in the plan keep theirs too, under
+    // "id@date" so a new session that reuses the id doesn't inherit them.
+    remapSessionProgress(carried, dropped) {
         const progress = this.loadProgress();
-        if (!progress || !progress.completedSessions) {
-            return { total: 0, completed: 0, percentage: 0 };
-        }
+        if (!progress) return false;
         
-        const completed = Object.keys(progress.completedSessions).length;
+        const moves = new Map([
+            ...carried.map(({ fromId, toId }) => [fromId, toId]),
+            ...dropped.map(({ id, isoDate }) => [id, `${id}@${isoDate}`])
+        ]);
+        ['completedSessions', 'sessionLog'].forEach(field => {
+            progress[field] = Object.fromEntries(Object.entries(progress[field] || {})
+                .map(([sessionId, value]) => [moves.get(sessionId) || sessionId, value]));
+        });
         
-        // Get total sessions from plan
-        const plan = this.loadPlan();
-        let total = 0;
-        if (plan && plan.schedule) {
-            plan.schedule.forEach(day => {
-                total += day.slots.filter(slot => 
-                    slot.type === 'study' || slot.type === 'revision'
-                ).length;
-            });
-        }
+        return this.saveProgress(progress);
+    }
+
+    // Load the actual-time log of completed sessions
+    loadSessionLog() {
+        const progress = this.loadProgress();
+        return progress?.sessionLog || {};
+    }
+
+    // Save spaced-repetition review items
+    saveReviews(reviews) {
+        const progress = this.getProgressDocument();
+        progress.reviews = structuredClone(reviews);
         
-        return {
-            total,
-            completed,
-            percentage: total > 0 ? Math.round((completed / total) * 100) : 0
-        };
+        const { completedSessions, sessionLog, ...meta } = progress;
+        this.writePart('progress', 'saveDocumentMeta', 'progress', meta);
+        this.markChanged('progress');
+        return true;
+    }
+
+    // Load spaced-repetition review items
+    loadReviews() {
+        const progress = this.loadProgress();
+        return progress?.reviews || {};
+    }
+
+    // Get completion statistics of the active plan, from its replayed progress
+    getCompletionStats() {
+        return progressTracker.getStats(this.loadPlan());
     }
 
     // Export all data
     exportAllData() {
         const plan = this.loadPlan();
         const progress = this.loadProgress();
-        const prefs = localStorage.getItem(this.prefsKey);
+        const prefs = this.loadPreferences();
         
         const exportData = {
             metadata: {
                 exportedAt: new Date().toISOString(),
                 tool: 'Smart Study Planner',
-                version: '1.0'
+                version: CONFIG.SCHEMA_VERSION,
+                planName: this.getPlanEntry(this.activePlanId)?.name || null
             },
             plan: plan ? plan : null,
             progress: progress ? progress : null,
-            preferences: prefs ? JSON.parse(prefs) : null
+            preferences: prefs ? prefs : null
         };
         
         return JSON.stringify(exportData, null, 2);
     }
 
-    // Import data
+    // Import a backup: every document is migrated and validated before anything is written
     importData(jsonString) {
+        let data;
         try {
-            const data = JSON.parse(jsonString);
-            
-            if (data.plan) {
-                localStorage.setItem(this.planKey, JSON.stringify(data.plan));
-            }
-            
-            if (data.progress) {
-                localStorage.setItem(this.progressKey, JSON.stringify(data.progress));
-            }
-            
-            if (data.preferences) {
-                localStorage.setItem(this.prefsKey, JSON.stringify(data.preferences));
-            }
-            
-            return { success: true, message: 'Data imported successfully' };
+            data = JSON.parse(jsonString);
         } catch (error) {
-            return { success: false, message: 'Invalid JSON format' };
+            return { success: false, message: `Invalid JSON format: ${error.message}`, errors: [] };
+        }
+        
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return { success: false, message: 'Backup must be a JSON object', errors: [] };
+        }
+        
+        const documents = {};
+        const errors = [];
+        ['plan', 'progress', 'preferences'].forEach(kind => {
+            if (!data[kind]) return;
+            
+            // Documents from before per-document versions use the backup's version
+            const source = data[kind].version !== undefined ? data[kind] : data.metadata;
+            const result = schemaManager.upgrade(kind, data[kind], schemaManager.getVersion(source));
+            errors.push(...result.errors);
+            documents[kind] = result.data;
+        });
+        
+        if (errors.length > 0) {
+            return { success: false, message: `Backup rejected: ${errors.length} invalid field${errors.length === 1 ? '' : 's'}`, errors };
+        }
+        if (Object.keys(documents).length === 0) {
+            return { success: false, message: 'Backup contains no plan, progress or preferences', errors: [] };
         }
+        
+        // Imported plans may have been edited outside the planner
+        const integrity = documents.plan ? integrityChecker.applyTo(documents.plan) : { findings: [] };
+        const issues = integrity.findings.length;
+        
+        Object.entries(documents).forEach(([kind, document]) => this.writeDocument(kind, document));
+        
+        return {
+            success: true,
+            message: `Data imported successfully${issues > 0 ? ` (${issues} plan integrity issue${issues === 1 ? '' : 's'})` : ''}`,
+            errors: []
+        };
     }
 
-    // Clear all data
+    // Clear all data of the active plan; other plans are kept
     clearAllData() {
-        localStorage.removeItem(this.planKey);
-        localStorage.removeItem(this.progressKey);
-        localStorage.removeItem(this.prefsKey);
+        const scope = this.activePlanId;
+        PLAN_KINDS.forEach(kind => {
+            this.documents[kind] = null;
+            this.markChanged(kind);
+        });
+        this.queueWrite(() => this.adapter.clear(scope), 'cleared plan');
         return true;
     }
 
-    // Get storage usage
-    getStorageUsage() {
-        let total = 0;
-        for (let key in localStorage) {
-            if (localStorage.hasOwnProperty(key)) {
-                total += localStorage[key].length * 2; // Approximate bytes
-            }
-        }
+    // Get storage usage from the active backend
+    async getStorageUsage() {
+        const { bytes, quota } = await this.adapter.estimate();
         
         return {
-            bytes: total,
-            kilobytes: (total / 1024).toFixed(2),
-            megabytes: (total / (1024 * 1024)).toFixed(2)
+            backend: this.adapter.name,
+            bytes,
+            quota,
+            kilobytes: (bytes / 1024).toFixed(2),
+            megabytes: (bytes / (1024 * 1024)).toFixed(2)
         };
     }
 
@@ -172,7 +594,7 @@ class StorageManager {
         
         const a = document.createElement('a');
         a.href = url;
-        a.download = `study-planner-backup-${new Date().toISOString().split('T')[0]}.json`;
+        a.download = `study-planner-backup-${dateHelper.getToday()}.json`;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
@@ -0,0 +1,137 @@
+import CONFIG from './config.js';
+
+class FocusTimer {
+    constructor() {
+        this.state = null;
+        this.intervalId = null;
+        this.lastTick = null;
+        this.handlers = {};
+    }
+
+    // Register callbacks: onTick(state), onFocusComplete(session, focusLog), onBreakComplete(breakSlot)
+    setHandlers(handlers) {
+        this.handlers = { ...this.handlers, ...handlers };
+    }
+
+    // Start counting down a session, to be followed by its break slot
+    start(session, breakSlot = null) {
+        this.clearInterval();
+        
+        const total = session.duration * 60000;
+        this.state = {
+            session,
+            breakSlot,
+            phase: 'focus',
+            totalMs: total,
+            remainingMs: total,
+            focusedMs: 0,
+            startedAt: Date.now(),
+            running: true
+        };
+        
+        this.lastTick = Date.now();
+        this.intervalId = setInterval(() => this.tick(), CONFIG.TIMER.TICK_INTERVAL);
+        this.notify();
+    }
+
+    // Advance by the real time since the last tick so a throttled tab stays accurate
+    tick() {
+        if (!this.state || !this.state.running) return;
+        
+        const now = Date.now();
+        const elapsed = now - this.lastTick;
+        this.lastTick = now;
+        
+        this.state.remainingMs = Math.max(0, this.state.remainingMs - elapsed);
+        if (this.state.phase === 'focus') {
+            this.state.focusedMs += elapsed;
+        }
+        
+        if (this.state.remainingMs === 0) {
+            this.completePhase();
+        } else {
+            this.notify();
+        }
+    }
+
+    // Pause or resume the countdown
+    togglePause() {
+        if (!this.state) return;
+        
+        if (this.state.running) {
+            this.tick();
+            if (this.state) this.state.running = false;
+        } else {
+            this.lastTick = Date.now();
+            this.state.running = true;
+        }
+        this.notify();
+    }
+
+    // End the current phase now: a skipped session completes with the time actually focused
+    skip() {
+        if (!this.state) return;
+        
+        this.tick();
+        if (this.state) this.completePhase();
+    }
+
+    // Add minutes to the current phase
+    extend(minutes = CONFIG.TIMER.EXTEND_MINUTES) {
+        if (!this.state) return;
+        
+        this.state.totalMs += minutes * 60000;
+        this.state.remainingMs += minutes * 60000;
+        this.notify();
+    }
+
+    // Cancel the timer without completing anything
+    stop() {
+        this.clearInterval();
+        this.state = null;
+        this.notify();
+    }
+
+    // Move from focus to the break, or finish after the break
+    completePhase() {
+        const { phase, session, breakSlot, focusedMs, startedAt } = this.state;
+        
+        if (phase === 'focus') {
+            const focusLog = {
+                actualMinutes: Math.round(focusedMs / 60000),
+                startedAt,
+                endedAt: Date.now()
+            };
+            if (breakSlot) {
+                const total = breakSlot.duration * 60000;
+                Object.assign(this.state, { phase: 'break', totalMs: total, remainingMs: total, running: true });
+                this.lastTick = Date.now();
+                this.notify();
+            } else {
+                this.stop();
+            }
+            this.handlers.onFocusComplete?.(session, focusLog);
+            return;
+        }
+        
+        this.stop();
+        this.handlers.onBreakComplete?.(breakSlot);
+    }
+
+    // Stop the tick interval
+    clearInterval() {
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+    }
+
+    // Tell the UI about the current state
+    notify() {
+        this.handlers.onTick?.(this.state);
+    }
+}
+
+// Create and export singleton instance
+const focusTimer = new FocusTimer();
+export default focusTimer;
\ No newline at end of file
@@ -1,3 +1,6 @@
+import CONFIG from './config.js';
+import chartRenderer from './charts.js';
+
 class UIManager {
     constructor() {
         this.currentDayIndex = 0;
@@ -36,12 +39,14 @@ class UIManager {
         this.setTheme(newTheme);
     }
 
-    // Display timetable
-    displayTimetable(slots, dayIndex = 0) {
+    // Display timetable, with imported calendar events as greyed busy rows and
+    // rule violations (messages by slot id) under the slots they concern
+    displayTimetable(slots, dayIndex = 0, busyBlocks = [], issues = {}) {
         const container = document.getElementById('timetableSlots');
         container.innerHTML = '';
         
-        if (!slots || slots.length === 0) {
+        // A day filled by calendar events still shows them
+        if ((!slots || slots.length === 0) && busyBlocks.length === 0) {
             container.innerHTML = `
                 <div class="empty-state">
                     <i class="fas fa-calendar-plus"></i>
@@ -52,9 +57,20 @@ class UIManager {
             return;
         }
         
-        slots.forEach(slot => {
+        const pendingBusy = [...busyBlocks];
+        const appendBusyUntil = minutes => {
+            while (pendingBusy.length > 0 && pendingBusy[0].start <= minutes) {
+                container.appendChild(this.createBusyRow(pendingBusy.shift()));
+            }
+        };
+        
+        (slots || []).forEach(slot => {
+            appendBusyUntil(slot.startMinutes);
+            
             const slotElement = document.createElement('div');
             slotElement.className = `time-slot ${slot.type === 'break' ? 'break-slot' : ''} ${slot.type === 'revision' ? 'revision-slot' : ''}`;
+            slotElement.dataset.slotId = slot.id;
+            slotElement.draggable = !slot.completed;
             
             const priorityBadge = slot.priority ? 
                 `<span class="priority-badge priority-${slot.priority.toLowerCase()}">${slot.priority}</span>` : '';
@@ -62,52 +78,353 @@ class UIManager {
             const typeBadge = slot.type ? 
                 `<span class="type-badge type-${slot.type}">${slot.type.charAt(0).toUpperCase() + slot.type.slice(1)}</span>` : '';
             
-            const statusClass = slot.completed ? 'status-complete' : 'status-pending';
-            const statusText = slot.completed ? 'Complete' : 'Pending';
+            let statusClass = slot.completed ? 'status-complete' : 'status-pending';
+            let statusText = slot.completed ? 'Complete' : 'Pending';
+            if (slot.missed && !slot.completed) {
+                statusClass = 'status-missed';
+                statusText = 'Missed';
+                slotElement.classList.add('missed-slot');
+            }
+            
+            const focusButton = !slot.completed ?
+                `<button class="btn-icon btn-focus" data-session-id="${slot.id}" title="Start focus timer">
+                    <i class="fas fa-play"></i>
+                </button>` : '';
             
             const actionButton = slot.type === 'study' || slot.type === 'revision' ?
-                `<button class="btn-icon btn-complete" data-session-id="${slot.id}" title="${slot.completed ? 'Mark as pending' : 'Mark as complete'}">
+                `${focusButton}<button class="btn-icon btn-complete" data-session-id="${slot.id}" title="${slot.completed ? 'Mark as pending' : 'Mark as complete'}">
                     <i class="fas ${slot.completed ? 'fa-undo' : 'fa-check'}"></i>
                 </button>` : '';
             
+            const actualLabel = slot.actualMinutes !== undefined ?
+                `<small class="actual-minutes">${slot.actualMinutes} of ${slot.duration} min${slot.actualStart ? ` (${slot.actualStart}–${slot.actualEnd})` : ''}</small>` : '';
+            const noteLabel = slot.note ? `<small class="session-note">📝 ${slot.note}</small>` : '';
+            const pinLabel = slot.pinned ? ' <span class="pinned-icon" title="Placed by hand, kept when the plan is regenerated">📌</span>' : '';
+            const violations = (issues[slot.id] || [])
+                .map(message => `<small class="slot-violation">⚠️ ${message}</small>`)
+                .join('');
+            if (violations) slotElement.classList.add('has-violation');
+            
+            const removeButton = !slot.completed ?
+                `<button class="btn-icon btn-remove-slot" data-slot-id="${slot.id}" title="Remove from this day">
+                    <i class="fas fa-times"></i>
+                </button>` : '';
+            
             slotElement.innerHTML = `
                 <div class="time-col">${slot.startTime}</div>
-                <div class="subject-col">${slot.subjectName}</div>
+                <div class="subject-col">
+                    ${slot.subjectName}${slot.continued ? ' <small>(cont.)</small>' : ''}${pinLabel}
+                    ${slot.topicName ? `<small class="topic-label">${slot.topicName}</small>` : ''}
+                    ${actualLabel}
+                    ${noteLabel}
+                    ${violations}
+                </div>
                 <div class="priority-col">${priorityBadge}</div>
                 <div class="type-col">${typeBadge}</div>
                 <div class="status-col ${statusClass}">${statusText}</div>
-                <div class="action-col">${actionButton}</div>
+                <div class="action-col">${actionButton}${removeButton}</div>
             `;
             
             container.appendChild(slotElement);
         });
+        appendBusyUntil(Infinity);
+    }
+
+    // Row for a busy block from an imported calendar
+    createBusyRow(block) {
+        const formatTime = minutes => `${Math.floor(minutes / 60).toString().padStart(2, '0')}:${(minutes % 60).toString().padStart(2, '0')}`;
+        const row = document.createElement('div');
+        row.className = 'time-slot busy-slot';
+        row.innerHTML = `
+            <div class="time-col">${formatTime(block.start)}</div>
+            <div class="subject-col">
+                ${this.escapeHtml(block.summary)}
+                <small class="topic-label">Busy until ${formatTime(block.end)}</small>
+            </div>
+            <div class="priority-col"></div>
+            <div class="type-col"><span class="type-badge type-busy">Busy</span></div>
+            <div class="status-col"></div>
+            <div class="action-col"></div>
+        `;
+        return row;
+    }
+
+    // Escape text from imported files before it goes into markup
+    escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Show one of the day, week and month views
+    setCalendarView(view) {
+        const titles = { day: 'Daily Schedule', week: 'Weekly Schedule', month: 'Monthly Overview' };
+        document.querySelector('.timetable-container').style.display = view === 'day' ? 'block' : 'none';
+        document.getElementById('weekView').style.display = view === 'week' ? 'block' : 'none';
+        document.getElementById('monthView').style.display = view === 'month' ? 'block' : 'none';
+        document.getElementById('scheduleTitle').textContent = titles[view];
+        
+        document.querySelectorAll('.view-toggle button').forEach(button => {
+            button.classList.toggle('active', button.dataset.view === view);
+        });
+    }
+
+    // Week as a time grid: one column per day, sessions positioned by start and end time.
+    // Sessions can be dragged to another time or day and resized from their bottom edge.
+    displayWeekView(days, todayIso, busyBlocksByDay = {}, issuesByDay = {}) {
+        const container = document.getElementById('weekView');
+        if (!container) return;
+        
+        const scale = CONFIG.CALENDAR_VIEW.HOUR_HEIGHT / 60;
+        const times = days.flatMap(({ daySchedule, index }) => [
+            ...daySchedule.slots.map(slot => [slot.startMinutes, slot.endMinutes]),
+            ...(busyBlocksByDay[index] || []).map(block => [block.start, block.end])
+        ]);
+        const gridStart = times.length > 0 ? Math.floor(Math.min(...times.map(t => t[0])) / 60) * 60 : 9 * 60;
+        const gridEnd = times.length > 0 ? Math.ceil(Math.max(...times.map(t => t[1])) / 60) * 60 : 17 * 60;
+        const height = (gridEnd - gridStart) * scale;
+        
+        const position = (start, end) => `top: ${(start - gridStart) * scale}px; height: ${Math.max(end - start, 10) * scale}px;`;
+        const hourLabels = [];
+        for (let minutes = gridStart; minutes < gridEnd; minutes += 60) {
+            hourLabels.push(`<span style="top: ${(minutes - gridStart) * scale}px">${(minutes / 60).toString().padStart(2, '0')}:00</span>`);
+        }
+        
+        const columns = days.map(({ daySchedule, index }) => {
+            const label = new Date(`${daySchedule.isoDate}T00:00`).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+            const busy = (busyBlocksByDay[index] || []).map(block => `
+                <div class="week-block week-busy" style="${position(block.start, block.end)}" title="${this.escapeHtml(block.summary)}">
+                    <span>${this.escapeHtml(block.summary)}</span>
+                </div>
+            `).join('');
+            const blocks = daySchedule.slots.map(slot => {
+                const violations = issuesByDay[index]?.[slot.id] || [];
+                return `
+                    <div class="week-block type-${slot.type} ${slot.completed ? 'completed' : ''} ${slot.missed && !slot.completed ? 'missed' : ''} ${violations.length > 0 ? 'has-violation' : ''}"
+                        style="${position(slot.startMinutes, slot.endMinutes)}" data-day-index="${index}" data-slot-id="${slot.id}"
+                        draggable="${!slot.completed}"
+                        title="${slot.startTime}–${slot.endTime} ${slot.subjectName}${slot.topicName ? ` (${slot.topicName})` : ''}${violations.map(message => `\n⚠️ ${message}`).join('')}">
+                        <strong>${slot.pinned ? '📌 ' : ''}${slot.subjectName}</strong>
+                        <small>${slot.startTime}</small>
+                        ${slot.completed ? '' : '<span class="week-resize" title="Drag to change the length"></span>'}
+                    </div>
+                `;
+            }).join('');
+            
+            return `
+                <div class="week-day ${daySchedule.isoDate === todayIso ? 'today' : ''}">
+                    <button class="week-day-header" data-day-index="${index}">Day ${daySchedule.day}<small>${label}</small></button>
+                    <div class="week-day-body" style="height: ${height}px" data-drop-day="${index}" data-grid-start="${gridStart}">${busy}${blocks}</div>
+                </div>
+            `;
+        }).join('');
+        
+        container.innerHTML = `
+            <div class="week-grid" style="grid-template-columns: 60px repeat(${days.length}, 1fr)">
+                <div class="week-times">
+                    <div class="week-day-header"></div>
+                    <div class="week-time-labels" style="height: ${height}px">${hourLabels.join('')}</div>
+                </div>
+                ${columns}
+            </div>
+        `;
+    }
+
+    // Month as a calendar: study load as a heatmap, completion as a marker
+    displayMonthView(schedule, month, todayIso) {
+        const container = document.getElementById('monthView');
+        if (!container) return;
+        
+        const [year, monthNumber] = month.split('-').map(Number);
+        const daysInMonth = new Date(year, monthNumber, 0).getDate();
+        const leadingBlanks = (new Date(year, monthNumber - 1, 1).getDay() + 6) % 7; // Weeks start on Monday
+        const maxHours = Math.max(...schedule.map(day => day.totalStudyHours || 0), 1);
+        const planDays = new Map(schedule.map((daySchedule, index) => [daySchedule.isoDate, { daySchedule, index }]));
+        
+        const cells = Array.from({ length: leadingBlanks }, () => '<div class="month-cell empty"></div>');
+        for (let date = 1; date <= daysInMonth; date++) {
+            const isoDate = `${month}-${date.toString().padStart(2, '0')}`;
+            const entry = planDays.get(isoDate);
+            const todayClass = isoDate === todayIso ? 'today' : '';
+            if (!entry) {
+                cells.push(`<div class="month-cell outside ${todayClass}"><span class="month-date">${date}</span></div>`);
+                continue;
+            }
+            
+            const { daySchedule, index } = entry;
+            const sessions = daySchedule.slots.filter(slot => slot.type !== 'break');
+            const done = sessions.filter(slot => slot.completed).length;
+            const missed = sessions.some(slot => slot.missed && !slot.completed);
+            const hours = daySchedule.totalStudyHours || 0;
+            const level = Math.ceil((hours / maxHours) * CONFIG.CALENDAR_VIEW.HEAT_LEVELS);
+            
+            let marker = '';
+            if (sessions.length > 0 && done === sessions.length) {
+                marker = '<span class="month-marker complete" title="All sessions done"><i class="fas fa-check"></i></span>';
+            } else if (missed) {
+                marker = '<span class="month-marker missed" title="Missed sessions"><i class="fas fa-exclamation"></i></span>';
+            } else if (done > 0) {
+                marker = `<span class="month-marker partial" title="${done} of ${sessions.length} sessions done">${done}/${sessions.length}</span>`;
+            }
+            
+            cells.push(`
+                <button class="month-cell heat-${level} ${todayClass}" data-day-index="${index}" title="Day ${daySchedule.day}: ${hours.toFixed(1)}h planned">
+                    <span class="month-date">${date}</span>
+                    <span class="month-hours">${hours > 0 ? `${hours.toFixed(1)}h` : ''}</span>
+                    ${marker}
+                </button>
+            `);
+        }
+        
+        const weekdays = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+        container.innerHTML = `
+            <div class="month-grid">
+                ${weekdays.map(day => `<div class="month-weekday">${day}</div>`).join('')}
+                ${cells.join('')}
+            </div>
+        `;
+    }
+
+    // Fill the subject choices of the add-to-day form from the plan's subjects
+    renderSlotEditor(allocations) {
+        const select = document.getElementById('slotEditorSubject');
+        if (!select) return;
+        
+        select.innerHTML = (allocations || [])
+            .map(subject => `<option value="${subject.id}">${subject.name}</option>`)
+            .join('');
+    }
+
+    // Counter and arrows for the week and month views
+    updatePeriodNavigation(label, title, canGoBack, canGoForward) {
+        document.getElementById('prevDayBtn').disabled = !canGoBack;
+        document.getElementById('nextDayBtn').disabled = !canGoForward;
+        document.getElementById('dayCounter').textContent = label;
+        document.getElementById('currentDate').textContent = title;
+    }
+
+    // Charts and streaks of the progress dashboard, from AnalyticsEngine.buildDashboard()
+    displayProgressDashboard(dashboard) {
+        const container = document.getElementById('progressDashboard');
+        if (!container) return;
+        
+        if (!dashboard) {
+            container.innerHTML = '<p class="chart-empty">Generate a plan to see your progress charts.</p>';
+            return;
+        }
+        
+        const { burndown, daily, subjects, streaks, weekdays } = dashboard;
+        const formatRate = entry => entry ? `${entry.name} (${Math.round(entry.rate * 100)}% done)` : '—';
+        
+        container.innerHTML = `
+            <div class="dashboard-stats">
+                <div><strong>${streaks.current}</strong><small>day streak</small></div>
+                <div><strong>${streaks.longest}</strong><small>longest streak</small></div>
+                <div><strong>${formatRate(weekdays.best)}</strong><small>best weekday</small></div>
+                <div><strong>${formatRate(weekdays.worst)}</strong><small>worst weekday</small></div>
+            </div>
+            <div class="dashboard-charts">
+                <figure>
+                    <figcaption>Remaining hours</figcaption>
+                    ${chartRenderer.lineChart([
+                        { name: 'Ideal', points: burndown.ideal, className: 'series-ideal' },
+                        { name: 'Actual', points: burndown.actual, className: 'series-actual' }
+                    ], { labels: burndown.labels, unit: 'h' })}
+                </figure>
+                <figure>
+                    <figcaption>Completed hours per day</figcaption>
+                    ${chartRenderer.barChart(daily.map(day => ({
+                        label: `D${day.day}`,
+                        value: day.completedHours,
+                        className: day.completedHours >= day.scheduledHours && day.scheduledHours > 0 ? 'bar-target-met' : ''
+                    })), { unit: 'h' })}
+                </figure>
+                <figure>
+                    <figcaption>Hours per subject (done / scheduled)</figcaption>
+                    ${chartRenderer.horizontalBarChart(subjects.map(subject => ({
+                        label: subject.subjectName,
+                        value: subject.scheduledHours,
+                        done: subject.completedHours
+                    })), { unit: 'h' })}
+                </figure>
+                <figure>
+                    <figcaption>Share of scheduled hours done by weekday</figcaption>
+                    ${chartRenderer.barChart(weekdays.byWeekday.map(entry => ({
+                        label: entry.name.slice(0, 3),
+                        value: entry.rate === null ? 0 : Math.round(entry.rate * 100)
+                    })), { unit: '%' })}
+                </figure>
+            </div>
+        `;
     }
 
     // Display progress bars
-    displayProgressBars(allocations) {
+    displayProgressBars(allocations, schedule = []) {
         const container = document.getElementById('progressBars');
         container.innerHTML = '';
         
         if (!allocations || allocations.length === 0) return;
         
+        // Completed minutes per topic from finished study sessions
+        const topicMinutes = {};
+        schedule.forEach(day => {
+            day.slots.forEach(slot => {
+                if (slot.completed && slot.type === 'study' && slot.topicId) {
+                    topicMinutes[slot.topicId] = (topicMinutes[slot.topicId] || 0) + slot.duration;
+                }
+            });
+        });
+        
         allocations.forEach(subject => {
-            const progress = (subject.hoursCompleted || 0) / subject.hoursNeeded * 100;
+            const topics = subject.topics || [];
             const progressItem = document.createElement('div');
             progressItem.className = 'progress-item';
+            
+            if (topics.length === 0) {
+                const progress = (subject.hoursCompleted || 0) / subject.hoursNeeded * 100;
+                progressItem.innerHTML = `
+                    <div class="progress-header">
+                        <span>${subject.name}</span>
+                        <span>${subject.hoursCompleted || 0}/${subject.hoursNeeded} hours</span>
+                    </div>
+                    <div class="progress-bar">
+                        <div class="progress-fill" style="width: ${Math.min(100, progress)}%"></div>
+                    </div>
+                `;
+                container.appendChild(progressItem);
+                return;
+            }
+            
+            // Topic-driven progress: a topic counts once its hours are done
+            const totalHours = topics.reduce((sum, topic) => sum + topic.hours, 0);
+            const doneTopics = topics.filter(topic => (topicMinutes[topic.id] || 0) >= topic.hours * 60);
+            const doneHours = doneTopics.reduce((sum, topic) => sum + topic.hours, 0);
+            const progress = totalHours > 0 ? doneHours / totalHours * 100 : 0;
+            
+            const topicChips = topics.map(topic => {
+                const minutes = topicMinutes[topic.id] || 0;
+                const state = minutes >= topic.hours * 60 ? 'done' : minutes > 0 ? 'started' : 'todo';
+                return `<span class="topic-chip topic-${state}" title="${(minutes / 60).toFixed(1)}/${topic.hours} hours">${topic.name}</span>`;
+            }).join('');
+            
             progressItem.innerHTML = `
                 <div class="progress-header">
                     <span>${subject.name}</span>
-                    <span>${subject.hoursCompleted || 0}/${subject.hoursNeeded} hours</span>
+                    <span>${doneTopics.length}/${topics.length} topics</span>
                 </div>
                 <div class="progress-bar">
                     <div class="progress-fill" style="width: ${Math.min(100, progress)}%"></div>
                 </div>
+                <div class="topic-chips">${topicChips}</div>
             `;
             container.appendChild(progressItem);
         });
     }
 
-    // Display suggestions
+    // Display suggestions, with Apply for those that propose a change and Dismiss for all
     displaySuggestions(suggestions) {
         const container = document.getElementById('suggestionsList');
         container.innerHTML = '';
@@ -117,7 +434,7 @@ class UIManager {
             return;
         }
         
-        suggestions.forEach(suggestion => {
+        suggestions.forEach((suggestion, index) => {
             const suggestionEl = document.createElement('p');
             suggestionEl.className = `suggestion suggestion-${suggestion.type}`;
             
@@ -131,11 +448,117 @@ class UIManager {
             
             suggestionEl.innerHTML = `
                 <strong>${icon} ${suggestion.type.toUpperCase()}:</strong> ${suggestion.message}
+                ${suggestion.proposal ? `<span class="suggestion-proposal"><i class="fas fa-arrow-right"></i> ${suggestion.proposal.label}</span>` : ''}
+                ${suggestion.key ? `
+                    <span class="suggestion-actions">
+                        ${suggestion.proposal ? `<button class="btn-apply-suggestion" data-index="${index}"><i class="fas fa-check"></i> Apply</button>` : ''}
+                        <button class="btn-dismiss-suggestion" data-index="${index}"><i class="fas fa-times"></i> Dismiss</button>
+                    </span>
+                ` : ''}
             `;
             container.appendChild(suggestionEl);
         });
     }
 
+    // Show the focus timer's current phase and countdown
+    renderFocusTimer(state) {
+        const panel = document.getElementById('focusTimer');
+        if (!panel) return;
+        
+        if (!state) {
+            panel.style.display = 'none';
+            return;
+        }
+        
+        const seconds = Math.ceil(state.remainingMs / 1000);
+        const clock = `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+        const progress = state.totalMs > 0 ? (1 - state.remainingMs / state.totalMs) * 100 : 0;
+        const breakLabel = state.breakSlot?.subjectName || 'Break';
+        
+        panel.style.display = 'block';
+        panel.classList.toggle('focus-timer-break', state.phase === 'break');
+        document.getElementById('focusTimerPhase').textContent = state.phase === 'focus' ? 'Focus' : breakLabel;
+        document.getElementById('focusTimerLabel').textContent = state.session.subjectName +
+            (state.session.topicName ? ` – ${state.session.topicName}` : '');
+        document.getElementById('focusTimerClock').textContent = clock;
+        document.getElementById('focusTimerBar').style.width = `${progress}%`;
+        document.getElementById('focusPauseBtn').innerHTML = state.running
+            ? '<i class="fas fa-pause"></i> Pause'
+            : '<i class="fas fa-play"></i> Resume';
+    }
+
+    // Show the constraint solver's cost breakdown and sacrificed preferences
+    displaySolverReport(report) {
+        const container = document.getElementById('solverReport');
+        if (!container) return;
+        
+        if (!report) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+            return;
+        }
+        
+        const sacrificed = report.sacrificed.slice(0, 6).map(item => `<li>Day ${item.day}: ${item.message}</li>`).join('');
+        const more = report.sacrificed.length > 6 ? `<li>…and ${report.sacrificed.length - 6} more</li>` : '';
+        
+        container.innerHTML = `
+            <h4><i class="fas fa-balance-scale"></i> Solver Cost: ${report.cost.total}</h4>
+            <div class="solver-costs">
+                <span>Time preferences: ${report.cost.timePreference}</span>
+                <span>Back-to-back: ${report.cost.consecutive}</span>
+                <span>Unscheduled: ${report.cost.unscheduled}</span>
+            </div>
+            ${sacrificed
+                ? `<p>Soft constraints given up (${report.sacrificed.length}):</p><ul>${sacrificed}${more}</ul>`
+                : '<p>✅ All soft constraints were met.</p>'}
+        `;
+        container.style.display = 'block';
+    }
+
+    // Show what a replan would change
+    showReplanDiff(diff) {
+        const container = document.getElementById('replanDiff');
+        if (!container) return;
+        
+        const describe = (slot) =>
+            `Day ${slot.day} ${slot.startTime} – ${slot.subjectName}${slot.topicName ? ` (${slot.topicName})` : ''}`;
+        
+        const renderList = (title, slots, className) => {
+            if (slots.length === 0) return '';
+            const shown = slots.slice(0, 8).map(slot => `<li>${describe(slot)}</li>`).join('');
+            const more = slots.length > 8 ? `<li>…and ${slots.length - 8} more</li>` : '';
+            return `
+                <div class="replan-list ${className}">
+                    <h4>${title} (${slots.length})</h4>
+                    <ul>${shown}${more}</ul>
+                </div>
+            `;
+        };
+        
+        const subjectRows = diff.subjects.map(subject => `
+            <tr>
+                <td>${subject.subjectName}</td>
+                <td>${subject.hoursBefore.toFixed(1)}h</td>
+                <td>${subject.hoursAfter.toFixed(1)}h</td>
+            </tr>
+        `).join('');
+        
+        container.innerHTML = `
+            <p>Replanning from <strong>Day ${diff.fromDay}</strong>. Completed sessions are kept.</p>
+            <table class="replan-table">
+                <thead>
+                    <tr><th>Subject</th><th>Remaining before</th><th>Remaining after</th></tr>
+                </thead>
+                <tbody>${subjectRows}</tbody>
+            </table>
+            ${renderList('Missed', diff.missed, 'replan-missed')}
+            ${renderList('Moved or removed', diff.removed, 'replan-removed')}
+            ${renderList('Newly scheduled', diff.added, 'replan-added')}
+        `;
+        
+        this.showModal('replanModal');
+    }
+
     // Update day navigation
     updateDayNavigation(totalDays, currentDay = 0) {
         this.currentDayIndex = currentDay;
@@ -209,6 +632,267 @@ class UIManager {
         }
     }
 
+    // Ask for the actual time, an optional note and a recall score (0-5, null when skipped)
+    promptSessionLog(session, defaults) {
+        return new Promise(resolve => {
+            const modal = document.getElementById('recallModal');
+            if (!modal) {
+                resolve({ ...defaults, note: '', recallScore: null });
+                return;
+            }
+            
+            const minutesInput = document.getElementById('logActualMinutes');
+            const startInput = document.getElementById('logStartTime');
+            const endInput = document.getElementById('logEndTime');
+            const noteInput = document.getElementById('logNote');
+            
+            document.getElementById('recallSubject').textContent =
+                `${session.subjectName} (planned ${session.startTime} - ${session.endTime}, ${session.duration} min)`;
+            minutesInput.value = defaults.actualMinutes;
+            startInput.value = defaults.startTime;
+            endInput.value = defaults.endTime;
+            noteInput.value = session.note || '';
+            
+            // Editing the times recalculates the minutes spent
+            const onTimeChange = () => {
+                const [startHours, startMinutes] = startInput.value.split(':').map(Number);
+                const [endHours, endMinutes] = endInput.value.split(':').map(Number);
+                const minutes = (endHours * 60 + endMinutes) - (startHours * 60 + startMinutes);
+                if (minutes > 0) minutesInput.value = minutes;
+            };
+            
+            const finish = (score) => {
+                modal.removeEventListener('click', onClick);
+                startInput.removeEventListener('change', onTimeChange);
+                endInput.removeEventListener('change', onTimeChange);
+                this.hideModal('recallModal');
+                
+                const actualMinutes = parseInt(minutesInput.value);
+                resolve({
+                    actualMinutes: isNaN(actualMinutes) || actualMinutes < 0 ? defaults.actualMinutes : actualMinutes,
+                    startTime: startInput.value || defaults.startTime,
+                    endTime: endInput.value || defaults.endTime,
+                    note: noteInput.value.trim(),
+                    recallScore: score
+                });
+            };
+            
+            const onClick = (e) => {
+                const option = e.target.closest('.recall-option');
+                if (option) {
+                    finish(parseInt(option.dataset.score));
+                } else if (e.target.id === 'recallModal' || e.target.closest('.btn-skip-recall')) {
+                    finish(null);
+                }
+            };
+            
+            modal.addEventListener('click', onClick);
+            startInput.addEventListener('change', onTimeChange);
+            endInput.addEventListener('change', onTimeChange);
+            this.showModal('recallModal');
+        });
+    }
+
+    // Render the planned-vs-actual analytics report
+    displayAnalytics(report) {
+        const container = document.getElementById('analyticsContent');
+        if (!container) return;
+        
+        const formatMinutes = (minutes) => `${(minutes / 60).toFixed(1)}h`;
+        const formatRatio = (ratio) => {
+            if (ratio === null) return '—';
+            const percent = Math.round((ratio - 1) * 100);
+            return `${percent > 0 ? '+' : ''}${percent}%`;
+        };
+        
+        const subjectRows = report.bySubject.map(subject => `
+            <tr>
+                <td>${subject.subjectName}</td>
+                <td>${subject.sessions}</td>
+                <td>${formatMinutes(subject.plannedMinutes)}</td>
+                <td>${formatMinutes(subject.actualMinutes)}</td>
+                <td class="${subject.ratio > 1 ? 'ratio-over' : 'ratio-under'}">${formatRatio(subject.ratio)}</td>
+            </tr>
+        `).join('');
+        
+        const maxMinutes = Math.max(1, ...report.byDay.map(day => Math.max(day.scheduledMinutes, day.actualMinutes)));
+        const dayRows = report.byDay
+            .filter(day => day.plannedMinutes > 0)
+            .map(day => `
+                <tr>
+                    <td>Day ${day.day}</td>
+                    <td>${formatMinutes(day.scheduledMinutes)}</td>
+                    <td>${formatMinutes(day.plannedMinutes)}</td>
+                    <td>${formatMinutes(day.actualMinutes)}</td>
+                    <td>
+                        <div class="day-bars">
+                            <div class="day-bar day-bar-planned" style="width: ${(day.plannedMinutes / maxMinutes) * 100}%"></div>
+                            <div class="day-bar day-bar-actual" style="width: ${(day.actualMinutes / maxMinutes) * 100}%"></div>
+                        </div>
+                    </td>
+                </tr>
+            `).join('');
+        
+        const estimates = report.estimates.map(estimate => `
+            <li>
+                <strong>${estimate.subjectName}:</strong> ${estimate.currentHours}h → ${estimate.suggestedHours}h
+                <small>(remaining ${estimate.remainingBefore}h → ${estimate.remainingAfter}h, sessions run ${formatRatio(estimate.ratio)})</small>
+            </li>
+        `).join('');
+        
+        container.innerHTML = `
+            <p class="analytics-bias bias-${report.bias.type}">${report.bias.message}</p>
+            <p>${report.totals.sessions} sessions logged: ${formatMinutes(report.totals.plannedMinutes)} planned, ${formatMinutes(report.totals.actualMinutes)} actual.</p>
+            
+            <h4>Per Subject (study sessions)</h4>
+            <table class="analytics-table">
+                <thead><tr><th>Subject</th><th>Sessions</th><th>Planned</th><th>Actual</th><th>Difference</th></tr></thead>
+                <tbody>${subjectRows}</tbody>
+            </table>
+            
+            <h4>Per Day</h4>
+            ${dayRows ? `
+                <table class="analytics-table">
+                    <thead><tr><th>Day</th><th>Scheduled</th><th>Planned (done)</th><th>Actual</th><th></th></tr></thead>
+                    <tbody>${dayRows}</tbody>
+                </table>
+            ` : '<p>No sessions logged yet.</p>'}
+            
+            <h4>Suggested Estimates</h4>
+            ${estimates ? `<ul class="analytics-estimates">${estimates}</ul>` : '<p>No corrections needed yet.</p>'}
+        `;
+        
+        const applyButton = document.getElementById('applyEstimatesBtn');
+        if (applyButton) applyButton.style.display = report.estimates.length > 0 ? 'inline-block' : 'none';
+    }
+
+    // Candidate plans side by side, best value of each metric highlighted
+    displayPlanComparison(candidates) {
+        const container = document.getElementById('whatIfResults');
+        if (!container) return;
+        
+        if (candidates.length === 0) {
+            container.innerHTML = '<p>No candidates to compare.</p>';
+            return;
+        }
+        
+        const cell = (candidate, metric, text) =>
+            `<td class="${candidate.best.includes(metric) ? 'whatif-best' : ''}">${text}</td>`;
+        const row = (title, metric, format) => `
+            <tr>
+                <th>${title}</th>
+                ${candidates.map(candidate => cell(candidate, metric, format(candidate.metrics[metric]))).join('')}
+            </tr>
+        `;
+        
+        const subjectRows = candidates[0].metrics.subjects.map((subject, index) => `
+            <tr>
+                <th>${subject.name}</th>
+                ${candidates.map(candidate => {
+                    const hours = candidate.metrics.subjects[index];
+                    const short = hours.hoursScheduled < hours.hoursNeeded;
+                    return `<td class="${short ? 'whatif-short' : ''}">${hours.hoursScheduled}h / ${hours.hoursNeeded}h</td>`;
+                }).join('')}
+            </tr>
+        `).join('');
+        
+        container.innerHTML = `
+            <table class="replan-table whatif-table">
+                <thead>
+                    <tr>
+                        <th></th>
+                        ${candidates.map(candidate => `
+                            <th>${candidate.label}${candidate.isCurrent ? '<br><small>(current settings)</small>' : ''}</th>
+                        `).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${row('Study hours', 'totalStudyHours', value => `${value}h`)}
+                    ${row('Efficiency score', 'efficiencyScore', value => `${value}%`)}
+                    ${row('Violations', 'violations', value => value)}
+                    ${row('Hours short of need', 'shortfallHours', value => `${value}h`)}
+                    ${subjectRows}
+                    <tr>
+                        <th></th>
+                        ${candidates.map(candidate => `
+                            <td><button class="btn-primary btn-adopt-candidate" data-candidate-id="${candidate.id}">Adopt</button></td>
+                        `).join('')}
+                    </tr>
+                </tbody>
+            </table>
+        `;
+    }
+
+    // Fill the header plan switcher; archived plans are listed separately
+    renderPlanSwitcher(plans, activePlanId) {
+        const select = document.getElementById('planSelect');
+        if (!select) return;
+        
+        const toOption = plan => `<option value="${plan.id}" ${plan.id === activePlanId ? 'selected' : ''}>${plan.name}</option>`;
+        const active = plans.filter(plan => !plan.archived);
+        const archived = plans.filter(plan => plan.archived);
+        
+        select.innerHTML = active.map(toOption).join('') +
+            (archived.length > 0 ? `<optgroup label="Archived">${archived.map(toOption).join('')}</optgroup>` : '');
+        
+        // The archive button restores an archived plan
+        const isArchived = archived.some(plan => plan.id === activePlanId);
+        const archiveButton = document.getElementById('archivePlanBtn');
+        archiveButton.title = isArchived ? 'Restore plan' : 'Archive plan';
+        archiveButton.innerHTML = `<i class="fas ${isArchived ? 'fa-box-open' : 'fa-archive'}"></i>`;
+    }
+
+    // Show which backend holds the data and how much space it uses
+    displayStorageUsage(usage) {
+        const element = document.getElementById('storageUsage');
+        if (!element) return;
+        
+        const quota = usage.quota ? ` of ${(usage.quota / (1024 * 1024)).toFixed(0)} MB` : '';
+        element.textContent = `Stored in ${usage.backend}: ${usage.kilobytes} KB used${quota}`;
+    }
+
+    // List field-level errors from a rejected import
+    displayImportErrors(errors = []) {
+        const list = document.getElementById('restoreErrors');
+        if (!list) return;
+        
+        list.innerHTML = errors.map(error => `<li>${this.escapeHtml(error)}</li>`).join('');
+    }
+
+    // List the plan's snapshots, newest first, and enable undo/redo
+    displayHistory(snapshots, { canUndo, canRedo }) {
+        const timeline = document.getElementById('historyTimeline');
+        if (!timeline) return;
+        
+        const icons = {
+            generate: 'fa-magic',
+            replan: 'fa-redo',
+            completion: 'fa-check',
+            subjects: 'fa-book',
+            edit: 'fa-arrows-alt',
+            suggestion: 'fa-lightbulb',
+            reset: 'fa-trash-alt',
+            restore: 'fa-history'
+        };
+        
+        timeline.innerHTML = snapshots.length > 0
+            ? snapshots.map((snapshot, index) => `
+                <li class="history-entry ${index === 0 ? 'latest' : ''}">
+                    <i class="fas ${icons[snapshot.type] || 'fa-circle'}"></i>
+                    <div class="history-details">
+                        <strong>${snapshot.label}</strong>
+                        <span>${new Date(snapshot.createdAt).toLocaleString()}</span>
+                        <span>${snapshot.summary.days} days · ${snapshot.summary.completed}/${snapshot.summary.sessions} sessions done · ${snapshot.summary.subjects} subjects</span>
+                    </div>
+                    <button class="btn-secondary btn-restore-snapshot" data-snapshot-id="${snapshot.id}">Restore</button>
+                </li>
+            `).join('')
+            : '<li class="history-empty">No changes recorded for this plan yet.</li>';
+        
+        document.getElementById('undoBtn').disabled = !canUndo;
+        document.getElementById('redoBtn').disabled = !canRedo;
+    }
+
     // Show notification
     showNotification(message, type = 'info', duration = 3000) {
         // Create notification element
@@ -0,0 +1,76 @@
+import CONFIG from './config.js';
+import scheduler from './sheduler.js';
+
+class WhatIfPlanner {
+    // Settings that can be varied, from CONFIG.WHAT_IF.DIMENSIONS
+    getDimensions() {
+        return Object.entries(CONFIG.WHAT_IF.DIMENSIONS).map(([key, dimension]) => ({ key, label: dimension.label }));
+    }
+
+    // Generate one candidate plan per value of a setting, keeping everything else as entered
+    generateCandidates(inputs, dimensionKey) {
+        const dimension = CONFIG.WHAT_IF.DIMENSIONS[dimensionKey];
+        if (!dimension) return [];
+        
+        // Generating replaces the scheduler's working schedule; put the displayed one back after
+        const displayedSchedule = scheduler.schedule;
+        const current = inputs.sessionSettings[dimensionKey];
+        
+        const candidates = dimension.values.map(value => {
+            const variant = structuredClone(inputs);
+            variant.sessionSettings[dimensionKey] = value;
+            const plan = scheduler.generatePlan(variant, variant.subjects);
+            
+            return {
+                id: `${dimensionKey}_${value}`,
+                label: dimension.format.replace('{value}', value),
+                overrides: { [dimensionKey]: value },
+                isCurrent: value === current,
+                plan,
+                metrics: this.getMetrics(plan)
+            };
+        });
+        
+        scheduler.schedule = displayedSchedule;
+        this.markBest(candidates);
+        return candidates;
+    }
+
+    // Compare on the plan summary, validation and hours per subject
+    getMetrics(plan) {
+        const subjects = plan.allocations.map(subject => ({
+            id: subject.id,
+            name: subject.name,
+            hoursNeeded: subject.hoursNeeded,
+            hoursScheduled: parseFloat((plan.summary.subjectDistribution[subject.name] || 0).toFixed(1))
+        }));
+        
+        return {
+            totalStudyHours: plan.summary.totalStudyHours,
+            efficiencyScore: plan.summary.efficiencyScore,
+            violations: plan.validation.violations.length,
+            shortfallHours: parseFloat(subjects
+                .reduce((sum, subject) => sum + Math.max(0, subject.hoursNeeded - subject.hoursScheduled), 0)
+                .toFixed(1)),
+            subjects
+        };
+    }
+
+    // Flag the best candidate on each headline metric (ties all count)
+    markBest(candidates) {
+        const best = {
+            totalStudyHours: Math.max(...candidates.map(c => c.metrics.totalStudyHours)),
+            efficiencyScore: Math.max(...candidates.map(c => c.metrics.efficiencyScore)),
+            violations: Math.min(...candidates.map(c => c.metrics.violations)),
+            shortfallHours: Math.min(...candidates.map(c => c.metrics.shortfallHours))
+        };
+        
+        candidates.forEach(candidate => {
+            candidate.best = Object.keys(best).filter(metric => candidate.metrics[metric] === best[metric]);
+        });
+    }
+}
+
+// Create and export singleton instance
+const whatIfPlanner = new WhatIfPlanner();
+export default whatIfPlanner;
\ No newline at end of file